@@ -14,7 +14,7 @@ class DemoApp {
     constructor() {
         // Initialize modules
         this.auth = new KeychainAuth();
-        this.uploadClient = new UploadClient();
+        this.uploadClient = new UploadClient('', this.auth);
         
         // State
         this.currentVideoId = null;
@@ -632,7 +632,7 @@ class DemoApp {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
-                    'X-Hive-Username': this.auth.getCurrentUser()
+                    ...this.auth.getAuthHeaders()
                 },
                 body: JSON.stringify({
                     owner: this.auth.getCurrentUser(),
@@ -759,9 +759,7 @@ class DemoApp {
             while (retries < maxRetries) {
                 response = await fetch('/api/upload/finalize', {
                     method: 'POST',
-                    headers: {
-                        'X-Hive-Username': this.auth.getCurrentUser()
-                    },
+                    headers: this.auth.getAuthHeaders(),
                     body: formData
                 });
                 
@@ -778,16 +776,31 @@ class DemoApp {
                     await new Promise(resolve => setTimeout(resolve, 3000));
                     continue;
                 }
-                
+
+                // Same file already uploaded: reuse that video or force a new one
+                if (errorData.code === 'DUPLICATE_VIDEO' && !formData.has('force_new')) {
+                    const existing = errorData.data.existing;
+                    if (confirm(`You already uploaded this video ("${existing.title}"). Upload it again as a new video?`)) {
+                        formData.append('force_new', 'true');
+                        continue;
+                    }
+                    this.addStatusMessageFirst(`♻️ Using your existing video: ${existing.owner}/${existing.permlink}`);
+                    response = null;
+                    this.currentVideoId = existing.id;
+                    break;
+                }
+
                 throw new Error(errorData.error || 'Finalize failed');
             }
             
-            const result = await response.json();
-            console.log('Finalize result:', result);
-            
-            this.currentVideoId = result.data.video_id;
-            
-            this.addStatusMessageFirst('✅ Video entry created!');
+            if (response) {
+                const result = await response.json();
+                console.log('Finalize result:', result);
+
+                this.currentVideoId = result.data.video_id;
+
+                this.addStatusMessageFirst('✅ Video entry created!');
+            }
             this.addStatusMessageFirst('⏳ Processing IPFS upload and creating encoding job...');
             
             document.getElementById('status-text-first').textContent = 'Processing...';
@@ -824,9 +837,7 @@ class DemoApp {
             
             try {
                 const response = await fetch(`/api/upload/video/${videoId}/status`, {
-                    headers: {
-                        'X-Hive-Username': this.auth.getCurrentUser()
-                    }
+                    headers: this.auth.getAuthHeaders()
                 });
                 
                 if (!response.ok) {
@@ -966,9 +977,7 @@ class DemoApp {
     async checkInProgressVideos() {
         try {
             const response = await fetch('/api/upload/in-progress', {
-                headers: {
-                    'X-Hive-Username': this.auth.getCurrentUser()
-                }
+                headers: this.auth.getAuthHeaders()
             });
 
             if (!response.ok) {
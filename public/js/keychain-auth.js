@@ -8,6 +8,9 @@
 class KeychainAuth {
     constructor() {
         this.currentUser = null;
+        this.token = null;
+        this.refreshToken = null;
+        this.refreshTimer = null;
         this.isAuthenticated = false;
         this.keychainAvailable = false;
     }
@@ -73,56 +76,89 @@ class KeychainAuth {
 
     /**
      * Login with Hive Keychain
-     * Uses requestSignBuffer to verify user owns the account
+     * 1. Requests a challenge nonce from the server
+     * 2. Signs it with the posting key via requestSignBuffer
+     * 3. Server verifies the signature against the account's posting public key
+     *    and returns a session token used for all further API requests
      */
     async login(username) {
-        return new Promise((resolve, reject) => {
-            const statusDiv = document.getElementById('keychain-status');
-            
-            // Validate username format
-            if (!this.validateUsername(username)) {
-                reject(new Error('Invalid username format. Use lowercase letters, numbers, and hyphens (3-16 characters).'));
-                return;
-            }
+        const statusDiv = document.getElementById('keychain-status');
 
-            // Check Keychain availability
-            if (!this.keychainAvailable || !window.hive_keychain) {
-                reject(new Error('Hive Keychain not available. Please install the extension.'));
-                return;
-            }
+        // Validate username format
+        if (!this.validateUsername(username)) {
+            throw new Error('Invalid username format. Use lowercase letters, numbers, and hyphens (3-16 characters).');
+        }
 
-            // Show loading status
-            statusDiv.innerHTML = '<div class="status-message info">🔐 Requesting Keychain authentication...</div>';
+        // Check Keychain availability
+        if (!this.keychainAvailable || !window.hive_keychain) {
+            throw new Error('Hive Keychain not available. Please install the extension.');
+        }
+
+        // Show loading status
+        statusDiv.innerHTML = '<div class="status-message info">🔐 Requesting Keychain authentication...</div>';
+
+        try {
+            // Get a server-issued challenge (prevents replay attacks)
+            const challenge = await this.requestChallenge(username);
 
-            // Create login message with timestamp to prevent replay attacks
-            const loginMessage = `Login to 3Speak Upload Demo at ${Date.now()}`;
-            
             // Request signature from Keychain (proves ownership)
+            const signature = await this.signMessage(username, challenge.message);
+
+            // Let the server verify the signature against the posting key
+            const session = await this.verifyChallenge(username, challenge.challenge_id, signature);
+
+            // Authentication successful
+            this.currentUser = username;
+            this.setSession(session);
+            this.isAuthenticated = true;
+
+            statusDiv.innerHTML = '<div class="status-message success">✅ Successfully authenticated with Keychain!</div>';
+
+            console.log('Login successful:', username);
+            return {
+                username: username,
+                signature: signature,
+                message: challenge.message
+            };
+        } catch (error) {
+            statusDiv.innerHTML = `<div class="status-message error">❌ ${error.message}</div>`;
+            console.error('Login failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Request a login challenge from the upload service
+     */
+    async requestChallenge(username) {
+        const response = await fetch('/api/auth/challenge', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username })
+        });
+
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || 'Failed to get login challenge');
+        }
+
+        return result.data;
+    }
+
+    /**
+     * Sign a message with the user's posting key through Keychain
+     */
+    signMessage(username, message) {
+        return new Promise((resolve, reject) => {
             window.hive_keychain.requestSignBuffer(
                 username,
-                loginMessage,
+                message,
                 'Posting',
                 (response) => {
                     if (response.success) {
-                        // Authentication successful
-                        this.currentUser = username;
-                        this.isAuthenticated = true;
-                        
-                        statusDiv.innerHTML = '<div class="status-message success">✅ Successfully authenticated with Keychain!</div>';
-                        
-                        console.log('Login successful:', username);
-                        resolve({
-                            username: username,
-                            signature: response.result,
-                            message: loginMessage
-                        });
+                        resolve(response.result);
                     } else {
-                        // Authentication failed
-                        const errorMsg = response.message || 'Authentication cancelled or failed';
-                        statusDiv.innerHTML = `<div class="status-message error">❌ ${errorMsg}</div>`;
-                        
-                        console.error('Login failed:', response);
-                        reject(new Error(errorMsg));
+                        reject(new Error(response.message || 'Authentication cancelled or failed'));
                     }
                 }
             );
@@ -130,10 +166,88 @@ class KeychainAuth {
     }
 
     /**
-     * Logout current user
+     * Submit the signed challenge for server-side verification
+     */
+    async verifyChallenge(username, challengeId, signature) {
+        const response = await fetch('/api/auth/verify', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, challenge_id: challengeId, signature })
+        });
+
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || 'Signature verification failed');
+        }
+
+        return result.data;
+    }
+
+    /**
+     * Store session tokens and schedule a refresh before the token expires
+     */
+    setSession(session) {
+        this.token = session.token;
+        this.refreshToken = session.refresh_token;
+
+        clearTimeout(this.refreshTimer);
+        const refreshInMs = Math.max((session.expires_in - 60) * 1000, 10000);
+        this.refreshTimer = setTimeout(() => this.refreshSession(), refreshInMs);
+    }
+
+    /**
+     * Exchange the refresh token for a new session token
+     */
+    async refreshSession() {
+        try {
+            const response = await fetch('/api/auth/refresh', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refresh_token: this.refreshToken })
+            });
+
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || 'Session refresh failed');
+            }
+
+            this.setSession(result.data);
+            console.log('Session refreshed');
+        } catch (error) {
+            console.error('Session refresh failed, please log in again:', error);
+            this.logout();
+        }
+    }
+
+    /**
+     * Get headers that authenticate API requests as the current user
+     */
+    getAuthHeaders() {
+        if (!this.isAuthenticated) {
+            return {};
+        }
+
+        return {
+            'Authorization': `Bearer ${this.token}`
+        };
+    }
+
+    /**
+     * Logout current user and revoke the server-side session
      */
     logout() {
+        if (this.token) {
+            fetch('/api/auth/revoke', {
+                method: 'POST',
+                headers: { 'Authorization': `Bearer ${this.token}` }
+            }).catch(error => console.warn('Session revoke failed:', error));
+        }
+
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = null;
         this.currentUser = null;
+        this.token = null;
+        this.refreshToken = null;
         this.isAuthenticated = false;
         console.log('User logged out');
     }
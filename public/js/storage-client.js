@@ -75,22 +75,23 @@ class StorageManager {
     }
 
     async handleLogin() {
-        const username = document.getElementById('username').value;
-        const password = document.getElementById('password').value;
+        const apiKey = document.getElementById('api-key').value.trim();
         const errorEl = document.getElementById('login-error');
 
-        // Create Basic Auth credentials
-        this.credentials = btoa(`${username}:${password}`);
+        // API key with the storage-admin role, sent as a Bearer token
+        this.credentials = apiKey;
 
         try {
             // Test credentials
             const response = await fetch('/api/storage/stats', {
                 headers: {
-                    'Authorization': `Basic ${this.credentials}`
+                    'Authorization': `Bearer ${this.credentials}`
                 }
             });
 
-            if (response.ok) {
+            if (response.status === 403) {
+                throw new Error('This key does not have the storage-admin role');
+            } else if (response.ok) {
                 sessionStorage.setItem('storage_credentials', this.credentials);
                 errorEl.style.display = 'none';
                 this.showDashboard();
@@ -109,8 +110,7 @@ class StorageManager {
         sessionStorage.removeItem('storage_credentials');
         this.credentials = null;
         this.showLogin();
-        document.getElementById('username').value = '';
-        document.getElementById('password').value = '';
+        document.getElementById('api-key').value = '';
     }
 
     async fetchAPI(endpoint, options = {}) {
@@ -118,7 +118,7 @@ class StorageManager {
             ...options,
             headers: {
                 ...options.headers,
-                'Authorization': `Basic ${this.credentials}`,
+                'Authorization': `Bearer ${this.credentials}`,
                 'Content-Type': 'application/json'
             }
         });
@@ -6,14 +6,22 @@
  */
 
 class UploadClient {
-    constructor(apiBaseUrl = '') {
+    constructor(apiBaseUrl = '', auth = null) {
         this.apiBaseUrl = apiBaseUrl || window.location.origin;
+        this.auth = auth;
         this.tusEndpoint = null;
         this.currentUpload = null;
         this.statusPollingInterval = null;
         this.videoId = null;
     }
 
+    /**
+     * Build authentication headers for API requests
+     */
+    getAuthHeaders() {
+        return this.auth ? this.auth.getAuthHeaders() : {};
+    }
+
     /**
      * Prepare upload by creating video entry in database
      */
@@ -22,7 +30,7 @@ class UploadClient {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
-                'X-Hive-Username': username // Use Hive username for auth
+                ...this.getAuthHeaders() // Hive session token
             },
             body: JSON.stringify(videoData)
         });
@@ -48,9 +56,7 @@ class UploadClient {
 
         const response = await fetch(`${this.apiBaseUrl}/api/upload/thumbnail/${videoId}`, {
             method: 'POST',
-            headers: {
-                'X-Hive-Username': username
-            },
+            headers: this.getAuthHeaders(),
             body: formData
         });
 
@@ -62,6 +68,28 @@ class UploadClient {
         return await response.json();
     }
 
+    /**
+     * Build TUS metadata, leaving out empty keys
+     * (tus-js-client would send them as the string "undefined")
+     */
+    buildTusMetadata(file, metadata) {
+        const tusMetadata = {
+            filename: file.name,
+            filetype: file.type,
+            // Traditional flow uses video_id, upload-first uses upload_id
+            video_id: metadata.video_id,
+            upload_id: metadata.upload_id,
+            owner: metadata.owner,
+            permlink: metadata.permlink
+        };
+
+        Object.keys(tusMetadata).forEach(key => {
+            if (!tusMetadata[key]) delete tusMetadata[key];
+        });
+
+        return tusMetadata;
+    }
+
     /**
      * Upload video file using TUS resumable upload protocol
      */
@@ -72,16 +100,8 @@ class UploadClient {
             retryDelays: [0, 3000, 5000, 10000, 20000],
             // Performance optimization: larger chunks = faster uploads
             chunkSize: 10 * 1024 * 1024, // 10MB chunks (up from default 5MB)
-            parallelUploads: 3, // Upload 3 chunks simultaneously
-            metadata: {
-                filename: file.name,
-                filetype: file.type,
-                // Traditional flow uses video_id, upload-first uses upload_id
-                video_id: metadata.video_id || undefined,
-                upload_id: metadata.upload_id || undefined,
-                owner: metadata.owner || undefined,
-                permlink: metadata.permlink || undefined
-            },
+            headers: this.getAuthHeaders(), // Checked when the upload is created
+            metadata: this.buildTusMetadata(file, metadata),
             onError: (error) => {
                 console.error('TUS upload failed:', error);
                 onError(error);
@@ -109,9 +129,7 @@ class UploadClient {
     async getStatus(videoId, username) {
         const response = await fetch(`${this.apiBaseUrl}/api/upload/video/${videoId}/status`, {
             method: 'GET',
-            headers: {
-                'X-Hive-Username': username
-            }
+            headers: this.getAuthHeaders()
         });
 
         if (!response.ok) {
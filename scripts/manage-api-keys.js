@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+
+/**
+ * API Key Management Script
+ *
+ * PURPOSE:
+ * Creates, lists, rotates and revokes the per-app API keys stored in the
+ * api_keys collection. Keys are hashed at rest, so the full key is only
+ * printed once by `create` and `rotate` - hand it to the partner app then.
+ *
+ * WHY THIS EXISTS:
+ * The admin routes (/api/admin/api-keys) need an admin credential to call.
+ * This script bootstraps the first admin key and works when the service is down.
+ *
+ * USAGE:
+ *   node scripts/manage-api-keys.js create --name "Mobile App" --app 3speak-mobile --scopes upload,read-status [--roles uploader] [--rate-limit 500]
+ *   node scripts/manage-api-keys.js list [--all] [--app 3speak-mobile]
+ *   node scripts/manage-api-keys.js roles <key_id> <role,role|none>
+ *   node scripts/manage-api-keys.js rotate <key_id>
+ *   node scripts/manage-api-keys.js revoke <key_id>
+ *
+ * SCOPES:
+ *   upload, read-status, moderate, storage, admin, impersonate
+ *
+ * ROLES (see src/config/roles.js):
+ *   uploader, moderator, storage-admin, superadmin
+ *
+ * REQUIREMENTS:
+ *   - .env file with MONGODB_URI configured
+ *   - Network access to MongoDB server
+ */
+
+require('dotenv').config();
+const { connectDatabases, closeConnections } = require('../src/config/database');
+const apiKeyService = require('../src/services/api-key');
+const auditService = require('../src/services/audit');
+
+/**
+ * Parse "--flag value" pairs and positional arguments
+ */
+function parseArgs(argv) {
+  const options = {};
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--')) {
+      const name = arg.slice(2);
+      const next = argv[i + 1];
+      if (next === undefined || next.startsWith('--')) {
+        options[name] = true;
+      } else {
+        options[name] = next;
+        i++;
+      }
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  return { options, positional };
+}
+
+function printUsage() {
+  console.log('Usage:');
+  console.log('  node scripts/manage-api-keys.js create --name <name> --app <app> [--scopes upload,read-status] [--roles <roles>] [--rate-limit <n>]');
+  console.log('  node scripts/manage-api-keys.js list [--all] [--app <app>]');
+  console.log('  node scripts/manage-api-keys.js roles <key_id> <role,role|none>');
+  console.log('  node scripts/manage-api-keys.js rotate <key_id>');
+  console.log('  node scripts/manage-api-keys.js revoke <key_id>');
+  console.log(`\nScopes: ${apiKeyService.scopes.join(', ')}`);
+  console.log(`Roles:  ${apiKeyService.roles.join(', ')}`);
+}
+
+/**
+ * Record a key change in the audit log
+ */
+function audit(action, keyId, changes = null) {
+  return auditService.record({
+    action,
+    outcome: 'success',
+    actor: { type: 'cli', id: null, roles: [] },
+    targets: [{ type: 'api_key', id: keyId }],
+    changes
+  });
+}
+
+function printKey(apiKey) {
+  const info = apiKey.toPublicJSON();
+  console.log(`   key_id:     ${info.key_id}`);
+  console.log(`   name:       ${info.name}`);
+  console.log(`   app:        ${info.app}`);
+  console.log(`   scopes:     ${info.scopes.join(', ')}`);
+  console.log(`   roles:      ${info.roles.join(', ') || 'none'}`);
+  console.log(`   rate_limit: ${info.rate_limit || 'default'}`);
+  console.log(`   last_used:  ${info.last_used ? info.last_used.toISOString() : 'never'}`);
+  console.log(`   revoked:    ${info.revoked ? info.revoked_at.toISOString() : 'no'}`);
+}
+
+async function run(command, options, positional) {
+  switch (command) {
+    case 'create': {
+      if (!options.name || !options.app) {
+        throw new Error('create requires --name and --app');
+      }
+
+      const { key, apiKey } = await apiKeyService.createKey({
+        name: options.name,
+        app: options.app,
+        scopes: options.scopes ? options.scopes.split(',').map(s => s.trim()) : undefined,
+        roles: options.roles ? options.roles.split(',').map(r => r.trim()) : [],
+        rateLimit: options['rate-limit'] ? parseInt(options['rate-limit']) : null,
+        createdBy: 'cli'
+      });
+      await audit('api_key.create', apiKey.key_id, auditService.diff(null, {
+        app: apiKey.app,
+        scopes: apiKey.scopes,
+        roles: apiKey.roles,
+        rate_limit: apiKey.rate_limit
+      }));
+
+      console.log('\n✅ API key created:\n');
+      printKey(apiKey);
+      console.log(`\n🔑 Key (shown once): ${key}\n`);
+      break;
+    }
+
+    case 'list': {
+      const keys = await apiKeyService.listKeys({
+        includeRevoked: options.all === true,
+        app: options.app || null
+      });
+
+      console.log(`\n📋 ${keys.length} API key(s):\n`);
+      keys.forEach(apiKey => {
+        printKey(apiKey);
+        console.log('');
+      });
+      break;
+    }
+
+    case 'roles': {
+      const [keyId, roleList] = positional;
+      if (!keyId || !roleList) throw new Error('roles requires a key_id and a role list (or "none")');
+
+      const roles = roleList === 'none' ? [] : roleList.split(',').map(r => r.trim());
+      const result = await apiKeyService.setKeyRoles(keyId, roles);
+      if (!result) throw new Error(`API key ${keyId} not found or revoked`);
+
+      await audit('api_key.roles', keyId, auditService.diff({ roles: result.before }, { roles: result.after }));
+
+      console.log(`\n✅ API key ${keyId} roles: ${result.after.join(', ') || 'none'}\n`);
+      break;
+    }
+
+    case 'rotate': {
+      const [keyId] = positional;
+      if (!keyId) throw new Error('rotate requires a key_id');
+
+      const result = await apiKeyService.rotateKey(keyId);
+      if (!result) throw new Error(`API key ${keyId} not found or revoked`);
+      await audit('api_key.rotate', keyId);
+
+      console.log(`\n✅ API key ${keyId} rotated`);
+      console.log(`\n🔑 New key (shown once): ${result.key}\n`);
+      break;
+    }
+
+    case 'revoke': {
+      const [keyId] = positional;
+      if (!keyId) throw new Error('revoke requires a key_id');
+
+      const apiKey = await apiKeyService.revokeKey(keyId);
+      if (!apiKey) throw new Error(`API key ${keyId} not found or already revoked`);
+      await audit('api_key.revoke', keyId, auditService.diff({ revoked: false }, { revoked: true }));
+
+      console.log(`\n✅ API key ${keyId} revoked\n`);
+      break;
+    }
+  }
+}
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const { options, positional } = parseArgs(rest);
+
+  if (!['create', 'list', 'roles', 'rotate', 'revoke'].includes(command)) {
+    printUsage();
+    process.exit(command ? 1 : 0);
+  }
+
+  if (!process.env.MONGODB_URI) {
+    console.error('❌ ERROR: MONGODB_URI not found in environment variables');
+    process.exit(1);
+  }
+
+  try {
+    await connectDatabases();
+    await run(command, options, positional);
+  } catch (error) {
+    console.error(`\n❌ ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await closeConnections();
+  }
+}
+
+main();
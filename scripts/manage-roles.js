@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+
+/**
+ * Role Management Script
+ *
+ * PURPOSE:
+ * Grants and revokes roles for Hive accounts (user_roles collection).
+ * Every logged-in Hive account is an "uploader"; this script adds the
+ * elevated roles on top.
+ *
+ * WHY THIS EXISTS:
+ * PUT /api/admin/roles/:username needs a superadmin to call it. This script
+ * bootstraps the first superadmin account.
+ *
+ * USAGE:
+ *   node scripts/manage-roles.js grant <username> <role>
+ *   node scripts/manage-roles.js revoke <username> <role>
+ *   node scripts/manage-roles.js list
+ *
+ * ROLES (see src/config/roles.js):
+ *   uploader, moderator, storage-admin, superadmin
+ *
+ * REQUIREMENTS:
+ *   - .env file with MONGODB_URI configured
+ *   - Network access to MongoDB server
+ */
+
+require('dotenv').config();
+const { connectDatabases, closeConnections } = require('../src/config/database');
+const roleService = require('../src/services/role');
+const auditService = require('../src/services/audit');
+const { ROLES, ROLE_NAMES } = require('../src/config/roles');
+
+function printUsage() {
+  console.log('Usage:');
+  console.log('  node scripts/manage-roles.js grant <username> <role>');
+  console.log('  node scripts/manage-roles.js revoke <username> <role>');
+  console.log('  node scripts/manage-roles.js list');
+  console.log('\nRoles:');
+  ROLE_NAMES.forEach(role => console.log(`  ${role.padEnd(14)} ${ROLES[role].join(', ')}`));
+}
+
+async function run(command, username, role) {
+  switch (command) {
+    case 'grant':
+    case 'revoke': {
+      if (!username || !role) throw new Error(`${command} requires a username and a role`);
+      if (!ROLE_NAMES.includes(role)) throw new Error(`Unknown role: ${role}`);
+
+      const result = command === 'grant'
+        ? await roleService.grantUserRole(username, role, 'cli')
+        : await roleService.revokeUserRole(username, role, 'cli');
+
+      await auditService.record({
+        action: 'role.update',
+        outcome: 'success',
+        actor: { type: 'cli', id: null, roles: [] },
+        targets: [{ type: 'user', id: username }],
+        changes: auditService.diff({ roles: result.before }, { roles: result.after })
+      });
+
+      console.log(`\n✅ ${username}: ${(await roleService.getUserRoles(username)).join(', ')}\n`);
+      break;
+    }
+
+    case 'list': {
+      const assignments = await roleService.listUserRoles();
+
+      console.log(`\n📋 ${assignments.length} account(s) with granted roles:\n`);
+      assignments.forEach(assignment => {
+        console.log(`   ${assignment.username.padEnd(16)} ${assignment.roles.join(', ')}`);
+      });
+      console.log('');
+      break;
+    }
+  }
+}
+
+async function main() {
+  const [command, username, role] = process.argv.slice(2);
+
+  if (!['grant', 'revoke', 'list'].includes(command)) {
+    printUsage();
+    process.exit(command ? 1 : 0);
+  }
+
+  if (!process.env.MONGODB_URI) {
+    console.error('❌ ERROR: MONGODB_URI not found in environment variables');
+    process.exit(1);
+  }
+
+  try {
+    await connectDatabases();
+    await run(command, username, role);
+  } catch (error) {
+    console.error(`\n❌ ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await closeConnections();
+  }
+}
+
+main();
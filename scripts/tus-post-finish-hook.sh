@@ -9,7 +9,8 @@
 # 1. Copy this script to your TUS hooks directory
 # 2. Make it executable: chmod +x post-finish
 # 3. Update the CALLBACK_URL if needed
-# 4. Start TUS server with: tusd -hooks-dir /path/to/hooks -hooks-enabled-events post-finish
+# 4. Export TUS_HOOK_SECRET (same value as the upload service) for tusd
+# 5. Start TUS server with: tusd -hooks-dir /path/to/hooks -hooks-enabled-events post-finish
 #
 
 # Configuration
@@ -102,19 +103,48 @@ UPLOAD_DATA=$(cat <<EOF
 EOF
 )
 
+# Sign the payload (HMAC-SHA256 over "<timestamp>.<body>", see src/middleware/hook-signature.js)
+if [[ -z "$TUS_HOOK_SECRET" ]]; then
+    log_message "ERROR: TUS_HOOK_SECRET not set - the upload service rejects unsigned callbacks"
+    exit 1
+fi
+
 # Send callback to upload service
 log_message "Sending callback to: $CALLBACK_URL"
 
-HTTP_STATUS=$(curl -w "%{http_code}" -o /tmp/tus_callback_response.txt \
-  --max-time "$TIMEOUT" \
-  --retry 3 \
-  --retry-delay 2 \
-  -X POST \
-  -H "Content-Type: application/json" \
-  -d "$UPLOAD_DATA" \
-  "$CALLBACK_URL" 2>/dev/null)
+# Every attempt is signed with a fresh timestamp: the service rejects a
+# signature it has already seen, so curl --retry must not resend one
+MAX_ATTEMPTS=4
+ATTEMPT=1
+
+while true; do
+    TIMESTAMP=$(date +%s)
+    SIGNATURE=$(printf '%s.%s' "$TIMESTAMP" "$UPLOAD_DATA" | openssl dgst -sha256 -hmac "$TUS_HOOK_SECRET" | sed 's/^.* //')
+
+    HTTP_STATUS=$(curl -w "%{http_code}" -o /tmp/tus_callback_response.txt \
+      --max-time "$TIMEOUT" \
+      -X POST \
+      -H "Content-Type: application/json" \
+      -H "X-Hook-Timestamp: $TIMESTAMP" \
+      -H "X-Hook-Signature: sha256=$SIGNATURE" \
+      -d "$UPLOAD_DATA" \
+      "$CALLBACK_URL" 2>/dev/null)
+
+    CURL_EXIT_CODE=$?
 
-CURL_EXIT_CODE=$?
+    if [[ $CURL_EXIT_CODE -eq 0 && "$HTTP_STATUS" =~ ^2[0-9][0-9]$ ]]; then
+        break
+    fi
+
+    # Only timeouts, connection errors and 5xx responses are worth another attempt
+    if [[ $ATTEMPT -ge $MAX_ATTEMPTS || ( $CURL_EXIT_CODE -eq 0 && ! "$HTTP_STATUS" =~ ^5[0-9][0-9]$ ) ]]; then
+        break
+    fi
+
+    log_message "WARN: Callback attempt $ATTEMPT/$MAX_ATTEMPTS failed (curl exit: $CURL_EXIT_CODE, HTTP: $HTTP_STATUS) - retrying"
+    ATTEMPT=$((ATTEMPT + 1))
+    sleep 2
+done
 
 if [[ $CURL_EXIT_CODE -eq 0 && "$HTTP_STATUS" =~ ^2[0-9][0-9]$ ]]; then
     log_message "SUCCESS: Callback sent successfully (HTTP $HTTP_STATUS)"
@@ -6,9 +6,17 @@ const winston = require('winston');
 require('dotenv').config();
 
 const uploadRoutes = require('./routes/upload');
+const authRoutes = require('./routes/auth');
+const adminRoutes = require('./routes/admin');
+const creatorRoutes = require('./routes/creators');
 const storageRoutes = require('./routes/storage');
+const tusRoutes = require('./routes/tus');
 const cleanupService = require('./services/cleanup');
+const policyService = require('./services/policy');
+const ingestQueueService = require('./services/ingest-queue');
+const publishSchedulerService = require('./services/publish-scheduler');
 const { connectDatabases } = require('./config/database');
+const { createStore } = require('./middleware/rate-limit-store');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
@@ -107,7 +115,6 @@ app.use(cors({
   allowedHeaders: [
     'Content-Type',
     'Authorization',
-    'X-Hive-Username',      // Hive username for auth
     'X-Requested-With',
     'Accept',
     'Origin',
@@ -115,7 +122,9 @@ app.use(cors({
     'Tus-Resumable',        // TUS upload protocol headers
     'Upload-Length',
     'Upload-Offset',
-    'Upload-Metadata'
+    'Upload-Metadata',
+    'Upload-Checksum',
+    'X-HTTP-Method-Override'
   ],
   exposedHeaders: [
     'Location',             // TUS returns upload URL in Location header
@@ -124,7 +133,10 @@ app.use(cors({
     'Tus-Resumable',
     'Tus-Version',
     'Tus-Extension',
-    'Tus-Max-Size'
+    'Tus-Max-Size',
+    'Tus-Checksum-Algorithm',
+    'Upload-Expires',
+    'Upload-Metadata'
   ]
 }));
 
@@ -151,6 +163,13 @@ app.use((err, req, res, next) => {
   next(err);
 });
 
+// ============================================
+// TUS UPLOADS
+// ============================================
+// Mounted before the general limiter (one upload is many PATCH requests)
+// and before body parsing (PATCH bodies are streamed to disk)
+app.use('/files', tusRoutes);
+
 // ============================================
 // RATE LIMITING
 // ============================================
@@ -160,6 +179,8 @@ const generalLimiter = rateLimit({
   message: { success: false, error: 'Too many requests, try again later' },
   standardHeaders: true,
   legacyHeaders: false,
+  store: createStore('general'), // Shared across instances (MongoDB)
+  passOnStoreError: true, // Fail open if MongoDB is unavailable
   // Skip rate limiting for static files
   skip: (req) => req.path.match(/\.(css|js|png|jpg|jpeg|gif|svg|ico|woff|woff2|ttf)$/)
 });
@@ -169,7 +190,15 @@ app.use(generalLimiter);
 // ============================================
 // REQUEST PARSING
 // ============================================
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Signed hook callbacks are verified against the exact bytes received
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/upload/tus-callback')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // ============================================
@@ -200,8 +229,11 @@ app.use((req, res, next) => {
 app.use(express.static('public'));
 app.use('/images', express.static('images'));
 
+app.use('/api/auth', authRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/storage', storageRoutes);
+app.use('/api/admin/creators', creatorRoutes); // Before /api/admin (moderate scope, not admin)
+app.use('/api/admin', adminRoutes);
 
 // Health check endpoint (public)
 app.get('/health', (req, res) => {
@@ -222,11 +254,23 @@ app.get('/', (req, res) => {
     version: require('../package.json').version,
     endpoints: {
       health: '/health',
+      auth_challenge: '/api/auth/challenge',
+      auth_verify: '/api/auth/verify',
+      auth_refresh: '/api/auth/refresh',
+      auth_revoke: '/api/auth/revoke',
+      admin_api_keys: '/api/admin/api-keys',
+      admin_roles: '/api/admin/roles',
+      admin_rate_limits: '/api/admin/rate-limits',
+      admin_policy: '/api/admin/policy',
+      admin_creators: '/api/admin/creators',
+      admin_audit: '/api/admin/audit',
       upload: '/api/upload',
       prepare: '/api/upload/prepare',
+      tus: '/files',
       callback: '/api/upload/tus-callback',
       status: '/api/upload/video/:id/status',
-      videos: '/api/upload/videos'
+      videos: '/api/upload/videos',
+      quota: '/api/upload/quota'
     }
   });
 });
@@ -347,6 +391,15 @@ const server = app.listen(PORT, async () => {
     // Start cleanup scheduler
     cleanupService.startScheduledCleanup();
     logger.info('Cleanup service started');
+
+    // Release scheduled videos when their publish time comes
+    publishSchedulerService.start();
+
+    // Load upload policy and reload it when the file changes
+    policyService.watch();
+
+    // Process queued uploads (IPFS upload + encoding job)
+    ingestQueueService.start();
     
   } catch (error) {
     logger.error('Startup error:', error);
@@ -367,6 +420,9 @@ const gracefulShutdown = (signal) => {
       
       // Stop cleanup service
       cleanupService.stopScheduledCleanup();
+      publishSchedulerService.stop();
+      policyService.stopWatching();
+      ingestQueueService.stop();
       
       logger.info('Graceful shutdown completed');
       process.exit(0);
@@ -0,0 +1,46 @@
+// ============================================
+// ROLE DEFINITIONS
+// ============================================
+// Roles are assigned to Hive accounts (user_roles collection) or to API
+// keys (ApiKey.roles) and expand into the scopes checked by requireScope.
+//
+// Scopes:
+// - upload       create uploads, finalize, replace thumbnails
+// - read-status  read video/encoding status and upload lists
+// - moderate     read service stats and moderate creators
+// - storage      IPFS storage management (/api/storage)
+// - admin        cleanup runs and /api/admin
+// - impersonate  act on behalf of any owner
+
+const SCOPES = ['upload', 'read-status', 'moderate', 'storage', 'admin', 'impersonate'];
+
+const ROLES = {
+  uploader: ['upload', 'read-status'],
+  moderator: ['upload', 'read-status', 'moderate'],
+  'storage-admin': ['storage'],
+  superadmin: SCOPES
+};
+
+// Every logged-in Hive account is an uploader
+const DEFAULT_USER_ROLES = ['uploader'];
+
+/**
+ * Expand roles into the set of scopes they grant
+ * @param {string[]} roles - Role names (unknown roles are ignored)
+ * @returns {string[]} Unique scopes
+ */
+const expandRoles = (roles = []) => {
+  const scopes = new Set();
+  for (const role of roles) {
+    (ROLES[role] || []).forEach(scope => scopes.add(scope));
+  }
+  return [...scopes];
+};
+
+module.exports = {
+  SCOPES,
+  ROLES,
+  ROLE_NAMES: Object.keys(ROLES),
+  DEFAULT_USER_ROLES,
+  expandRoles
+};
@@ -1,72 +1,202 @@
 const rateLimit = require('express-rate-limit');
+const sessionService = require('../services/session');
+const apiKeyService = require('../services/api-key');
+const roleService = require('../services/role');
+const auditService = require('../services/audit');
+const { createStore } = require('./rate-limit-store');
 
 // ============================================
 // AUTHENTICATION MIDDLEWARE
 // ============================================
 
+// Legacy shared token keeps full access unless narrowed through the env
+const DEFAULT_LEGACY_TOKEN_SCOPES = 'upload,read-status,moderate,admin,impersonate';
+
+const getLegacyTokenScopes = () => {
+  return (process.env.UPLOAD_SECRET_TOKEN_SCOPES || DEFAULT_LEGACY_TOKEN_SCOPES)
+    .split(',')
+    .map(scope => scope.trim())
+    .filter(Boolean);
+};
+
+// ============================================
+// PER-KEY RATE LIMITING
+// ============================================
+// Each API key gets its own bucket; the limit comes from ApiKey.rate_limit
+// and falls back to API_KEY_RATE_LIMIT. Other auth types are not counted.
+const apiKeyLimiter = rateLimit({
+  windowMs: parseInt(process.env.API_KEY_RATE_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+  max: (req) => req.auth?.rateLimit || parseInt(process.env.API_KEY_RATE_LIMIT) || 300,
+  message: {
+    success: false,
+    error: 'API key rate limit exceeded, please try again later'
+  },
+  keyGenerator: (req) => `api-key:${req.auth.apiKeyId}`,
+  skip: (req) => req.auth?.authType !== 'api-key',
+  store: createStore('api-key'),
+  passOnStoreError: true, // Fail open if MongoDB is unavailable
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 /**
- * Dual authentication support:
- * 1. Bearer token (for API clients)
- * 2. X-Hive-Username header (for demo/frontend)
+ * Resolve a bearer token into an auth context
+ * Supports, in order: Hive session tokens, per-app API keys and the
+ * legacy UPLOAD_SECRET_TOKEN.
+ * @param {string} token - Raw bearer token
+ * @returns {Promise<{valid: boolean, auth?: Object, reason?: string}>}
  */
-const requireAuth = (req, res, next) => {
-  // Check for Hive username header (demo mode)
-  const hiveUsername = req.headers['x-hive-username'];
-  
-  if (hiveUsername) {
-    // Validate Hive username format
-    const usernameRegex = /^[a-z0-9\-]{3,16}$/;
-    
-    if (!usernameRegex.test(hiveUsername)) {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid Hive username format'
-      });
+const resolveBearerToken = async (token) => {
+  if (!token || typeof token !== 'string') {
+    return { valid: false, reason: 'Token must be a string' };
+  }
+
+  // Session token issued after Hive login
+  if (sessionService.isSessionToken(token)) {
+    const verification = await sessionService.verifyAccessToken(token);
+
+    if (!verification.valid) {
+      return { valid: false, reason: verification.reason };
     }
-    
-    // Store authenticated user info
-    req.auth = {
-      authenticated: true,
-      authType: 'hive-username',
-      username: hiveUsername
+
+    const roles = await roleService.getUserRoles(verification.username);
+
+    return {
+      valid: true,
+      auth: {
+        authenticated: true,
+        authType: 'session',
+        username: verification.username,
+        sessionId: verification.sessionId,
+        roles,
+        scopes: roleService.expandRoles(roles)
+      }
     };
-    
-    return next();
   }
-  
-  // Fall back to Bearer token authentication
+
+  // Per-app API key
+  if (apiKeyService.isApiKey(token)) {
+    const apiKey = await apiKeyService.verifyKey(token);
+
+    if (!apiKey) {
+      return { valid: false, reason: 'Invalid or revoked API key' };
+    }
+
+    return {
+      valid: true,
+      auth: {
+        authenticated: true,
+        authType: 'api-key',
+        apiKeyId: apiKey.key_id,
+        app: apiKey.app,
+        roles: apiKey.roles || [],
+        scopes: apiKeyService.effectiveScopes(apiKey),
+        rateLimit: apiKey.rate_limit
+      }
+    };
+  }
+
+  // Legacy shared service token
+  if (!process.env.UPLOAD_SECRET_TOKEN || token !== process.env.UPLOAD_SECRET_TOKEN) {
+    return { valid: false, reason: 'Invalid authentication token' };
+  }
+
+  return {
+    valid: true,
+    auth: {
+      authenticated: true,
+      authType: 'bearer-token',
+      roles: [],
+      scopes: getLegacyTokenScopes()
+    }
+  };
+};
+
+/**
+ * Authentication support (all sent as "Authorization: Bearer <token>"):
+ * 1. Session token (for Hive users) - issued by /api/auth/verify after
+ *    the user signs a challenge with their posting key
+ * 2. API key (for partner apps) - scoped, per-app, see /api/admin/api-keys
+ * 3. Legacy service token - UPLOAD_SECRET_TOKEN
+ */
+const requireAuth = async (req, res, next) => {
   const authHeader = req.headers.authorization;
-  
+
   if (!authHeader) {
     return res.status(401).json({
       success: false,
-      error: 'Authorization required. Provide Bearer token or X-Hive-Username header.'
+      error: 'Authorization required. Log in through /api/auth or provide a Bearer token.'
     });
   }
-  
+
   const token = authHeader.replace('Bearer ', '');
-  
-  if (!token || token !== process.env.UPLOAD_SECRET_TOKEN) {
+
+  let result;
+  try {
+    result = await resolveBearerToken(token);
+  } catch (error) {
+    console.error('❌ Token verification error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to verify authentication token'
+    });
+  }
+
+  if (!result.valid) {
     return res.status(401).json({
       success: false,
-      error: 'Invalid authentication token'
+      error: result.reason
     });
   }
-  
-  // Store authenticated user info
-  req.auth = {
-    authenticated: true,
-    authType: 'bearer-token'
-  };
-  
+
+  // Store authenticated identity
+  req.auth = result.auth;
+
+  // API keys are rate limited per key
+  apiKeyLimiter(req, res, next);
+};
+
+/**
+ * Require a scope on the authenticated identity
+ * Scopes come from the identity's roles (see src/config/roles.js) plus any
+ * explicit API key scopes. Denials are audit-logged. Must run after requireAuth.
+ * @param {string} scope - Required scope (upload, read-status, moderate, storage, admin)
+ */
+const requireScope = (scope) => (req, res, next) => {
+  if (!req.auth?.scopes?.includes(scope)) {
+    const actor = req.auth?.username || req.auth?.apiKeyId || req.auth?.authType || 'anonymous';
+    console.warn(`🚫 Scope denied: ${actor} lacks "${scope}" on ${req.method} ${req.originalUrl}`);
+    auditService.denied(req, 'authorization', `Missing scope: ${scope}`, {
+      required_scope: scope,
+      scopes: req.auth?.scopes || []
+    });
+
+    return res.status(403).json({
+      success: false,
+      error: `This credential lacks the required scope: ${scope}`,
+      code: 'INSUFFICIENT_SCOPE'
+    });
+  }
+
   next();
 };
 
 // ============================================
 // RATE LIMITING WITH PER-USER SUPPORT
 // ============================================
+// Counters live in MongoDB (rate-limit-store.js) so they are shared
+// across instances and survive restarts.
+//
+// Per-user limiters key on the authenticated Hive username, so they must be
+// mounted after requireAuth; before it (or for API keys without a user)
+// they fall back to the client IP.
+
+/**
+ * Limiter key: authenticated username, else client IP
+ */
+const userOrIpKey = (req) => req.auth?.username || req.ip;
 
-// Per-user rate limiter (for Hive username auth)
+// Per-user rate limiter (mount after requireAuth)
 const perUserUploadLimiter = rateLimit({
   windowMs: 60 * 60 * 1000, // 1 hour
   max: 10, // 10 uploads per hour per user
@@ -74,10 +204,9 @@ const perUserUploadLimiter = rateLimit({
     success: false,
     error: 'Upload limit exceeded. Maximum 10 uploads per hour.'
   },
-  keyGenerator: (req) => {
-    // Use Hive username if available, otherwise IP
-    return req.headers['x-hive-username'] || req.ip;
-  },
+  keyGenerator: userOrIpKey,
+  store: createStore('per-user-upload'),
+  passOnStoreError: true, // Fail open if MongoDB is unavailable
   standardHeaders: true,
   legacyHeaders: false
 });
@@ -90,64 +219,57 @@ const authLimiter = rateLimit({
     error: 'Too many authentication attempts, please try again later'
   },
   skipSuccessfulRequests: true,
+  store: createStore('auth'),
+  passOnStoreError: true, // Fail open if MongoDB is unavailable
   standardHeaders: true,
   legacyHeaders: false
 });
 
 const uploadLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 20, // Increased from 5 to 20 uploads per window per IP
+  max: 20, // Increased from 5 to 20 uploads per window per user (mount after requireAuth)
   message: {
     success: false,
     error: 'Too many upload attempts, please try again later'
   },
   standardHeaders: true,
   legacyHeaders: false,
-  // Use X-Forwarded-For if behind proxy
-  keyGenerator: (req) => {
-    return req.headers['x-hive-username'] || req.ip;
-  }
+  store: createStore('upload'),
+  passOnStoreError: true, // Fail open if MongoDB is unavailable
+  keyGenerator: userOrIpKey
 });
 
 // ============================================
 // OPTIONAL: TOKEN VALIDATION HELPER
 // ============================================
-const validateToken = (token) => {
-  // Basic validation
-  if (!token || typeof token !== 'string') {
-    return { valid: false, reason: 'Token must be a string' };
-  }
-  
-  if (token.length < 32) {
-    return { valid: false, reason: 'Token too short' };
-  }
-  
-  if (token !== process.env.UPLOAD_SECRET_TOKEN) {
-    return { valid: false, reason: 'Invalid token' };
+const validateToken = async (token) => {
+  const result = await resolveBearerToken(token);
+
+  if (!result.valid) {
+    return { valid: false, reason: result.reason };
   }
-  
-  return { valid: true };
+
+  return { valid: true, auth: result.auth };
 };
 
 // ============================================
 // MIDDLEWARE FOR OPTIONAL AUTH (PUBLIC ENDPOINTS)
 // ============================================
-const optionalAuth = (req, res, next) => {
+const optionalAuth = async (req, res, next) => {
   const authHeader = req.headers.authorization;
   
   if (authHeader) {
     const token = authHeader.replace('Bearer ', '');
-    const validation = validateToken(token);
-    
-    if (validation.valid) {
-      req.auth = {
-        authenticated: true,
-        tokenType: 'upload-service'
-      };
-    } else {
+
+    try {
+      const validation = await validateToken(token);
+      req.auth = validation.valid
+        ? validation.auth
+        : { authenticated: false, error: validation.reason };
+    } catch (error) {
       req.auth = {
         authenticated: false,
-        error: validation.reason
+        error: 'Failed to verify authentication token'
       };
     }
   } else {
@@ -161,9 +283,11 @@ const optionalAuth = (req, res, next) => {
 
 module.exports = {
   requireAuth,
+  requireScope,
   optionalAuth,
   authLimiter,
   uploadLimiter,
   perUserUploadLimiter,
+  apiKeyLimiter,
   validateToken
 };
\ No newline at end of file
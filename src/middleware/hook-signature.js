@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const { logRejection } = require('../services/security-log');
+
+// ============================================
+// SIGNED HOOK CALLBACKS
+// ============================================
+// tusd hook scripts sign their callbacks with a shared secret:
+//
+//   X-Hook-Timestamp: <unix seconds>
+//   X-Hook-Signature: sha256=<hex HMAC-SHA256(TUS_HOOK_SECRET, "<timestamp>.<raw body>")>
+//
+// Requests outside the replay window, or repeating a signature already
+// seen inside it, are rejected. Seen signatures are claimed in MongoDB, so
+// the check holds across instances; a claim is released again when the
+// request fails, so the hook can retry. Needs req.rawBody (see
+// express.json verify in app.js).
+
+const SIGNATURE_PREFIX = 'sha256=';
+const REPLAY_WINDOW_SECONDS = parseInt(process.env.TUS_HOOK_MAX_AGE_SECONDS) || 300;
+
+const getHookSignatureModel = () => {
+  return require('../models/HookSignature')();
+};
+
+/**
+ * Compute the signature a hook must send for a body
+ * @param {string} secret - Shared secret
+ * @param {string|number} timestamp - Unix seconds
+ * @param {Buffer|string} rawBody - Exact request body
+ * @returns {string} "sha256=<hex>"
+ */
+const signHookPayload = (secret, timestamp, rawBody) => {
+  const hmac = crypto.createHmac('sha256', secret);
+  hmac.update(`${timestamp}.`);
+  hmac.update(rawBody || '');
+  return SIGNATURE_PREFIX + hmac.digest('hex');
+};
+
+/**
+ * Middleware: Verify the HMAC signature of a hook callback
+ * Rejections are written to the security log.
+ */
+const verifyHookSignature = async (req, res, next) => {
+  const secret = process.env.TUS_HOOK_SECRET;
+
+  const reject = (statusCode, reason, details) => {
+    logRejection(req, 'tus_callback', reason, details);
+    return res.status(statusCode).json({
+      success: false,
+      error: statusCode === 503 ? 'Hook callbacks are not configured' : 'Invalid hook signature'
+    });
+  };
+
+  // Fail closed: without a secret nothing can be verified
+  if (!secret) {
+    return reject(503, 'TUS_HOOK_SECRET is not configured');
+  }
+
+  const timestamp = req.get('X-Hook-Timestamp');
+  const signature = req.get('X-Hook-Signature');
+
+  if (!timestamp || !signature) {
+    return reject(401, 'Missing signature headers');
+  }
+
+  if (!/^\d+$/.test(timestamp)) {
+    return reject(401, 'Malformed timestamp', { timestamp });
+  }
+
+  const nowMs = Date.now();
+  const age = Math.floor(nowMs / 1000) - parseInt(timestamp, 10);
+  if (Math.abs(age) > REPLAY_WINDOW_SECONDS) {
+    return reject(401, 'Timestamp outside replay window', { age });
+  }
+
+  const expected = Buffer.from(signHookPayload(secret, timestamp, req.rawBody));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return reject(401, 'Signature mismatch');
+  }
+
+  const HookSignature = getHookSignatureModel();
+  try {
+    await HookSignature.create({
+      signature,
+      expires: new Date(nowMs + REPLAY_WINDOW_SECONDS * 2 * 1000)
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return reject(401, 'Replayed signature', { age });
+    }
+    console.error('❌ Hook signature check failed:', error.message);
+    return res.status(503).json({
+      success: false,
+      error: 'Hook callbacks are temporarily unavailable'
+    });
+  }
+
+  // Only a handled callback uses up its signature
+  res.on('finish', () => {
+    if (res.statusCode < 400) return;
+    HookSignature.deleteOne({ signature }).catch(error => {
+      console.warn(`⚠️ Failed to release hook signature: ${error.message}`);
+    });
+  });
+
+  next();
+};
+
+module.exports = {
+  signHookPayload,
+  verifyHookSignature
+};
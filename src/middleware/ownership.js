@@ -0,0 +1,205 @@
+// ============================================
+// OWNERSHIP ENFORCEMENT MIDDLEWARE
+// ============================================
+// Binds the authenticated identity (req.auth) to the owner of the
+// resource being touched (Video.owner / TempUpload.owner).
+//
+// - Hive session users may only act as themselves
+// - Bearer token callers may act on behalf of any user only when the
+//   token carries the "impersonate" scope
+//
+// All mismatches return the same 403 response.
+
+const auditService = require('../services/audit');
+
+const IMPERSONATE_SCOPE = 'impersonate';
+
+const READ_METHODS = ['GET', 'HEAD'];
+
+const getVideoModel = () => {
+  return require('../models/Video')();
+};
+
+const getTempUploadModel = () => {
+  return require('../models/TempUpload')();
+};
+
+/**
+ * Check if the authenticated caller may act on behalf of an owner
+ * @param {Object} auth - req.auth from requireAuth
+ * @param {string} owner - Hive username that owns the resource
+ * @returns {boolean}
+ */
+const canActAs = (auth, owner) => {
+  if (!auth || !auth.authenticated || !owner) {
+    return false;
+  }
+
+  if (auth.username) {
+    return auth.username === owner;
+  }
+
+  return Array.isArray(auth.scopes) && auth.scopes.includes(IMPERSONATE_SCOPE);
+};
+
+/**
+ * Send the standard ownership error
+ * @param {Array} targets - [{ type, id }] for the audit log (defaults to the route's video/upload)
+ */
+const denyOwnership = (req, res, owner, targets = null) => {
+  const actor = req.auth?.username || req.auth?.authType || 'anonymous';
+  console.warn(`🚫 Ownership denied: ${actor} tried to act as ${owner} on ${req.method} ${req.originalUrl}`);
+  auditService.denied(req, 'ownership', 'Owner does not match authenticated identity', { owner }, [
+    { type: 'user', id: owner },
+    ...(targets || [
+      { type: 'video', id: req.params?.id || req.params?.video_id },
+      { type: 'upload', id: req.body?.upload_id }
+    ])
+  ]);
+
+  return res.status(403).json({
+    success: false,
+    error: 'You are not allowed to act on behalf of this user',
+    code: 'OWNERSHIP_MISMATCH'
+  });
+};
+
+/**
+ * Bind req.body.owner to the authenticated identity
+ * - User identities: owner defaults to the user and must match if given
+ * - Token identities: owner must be given and the token must allow impersonation
+ * Must run after requireAuth (and again after multer for multipart bodies).
+ */
+const bindOwner = (req, res, next) => {
+  req.body = req.body || {};
+
+  if (req.auth?.username && !req.body.owner) {
+    req.body.owner = req.auth.username;
+  }
+
+  const { owner } = req.body;
+
+  // Missing owner is a validation problem, not an ownership one
+  if (!owner) {
+    return next();
+  }
+
+  if (!canActAs(req.auth, owner)) {
+    return denyOwnership(req, res, owner);
+  }
+
+  next();
+};
+
+/**
+ * Resolve the owner for read-only listing routes from ?owner=
+ * Defaults to the authenticated user. Result is stored in req.owner.
+ */
+const bindQueryOwner = (req, res, next) => {
+  const owner = req.query.owner || req.auth?.username;
+
+  if (!owner) {
+    return res.status(400).json({
+      success: false,
+      error: 'Owner parameter is required'
+    });
+  }
+
+  if (!canActAs(req.auth, owner)) {
+    return denyOwnership(req, res, owner);
+  }
+
+  req.owner = owner;
+  next();
+};
+
+/**
+ * Load a Video by route param and verify the caller owns it
+ * Stores the document in req.video. Deleted videos are read-only: other
+ * methods get 410 unless allowDeleted is set.
+ * @param {string} param - Route param holding the video ID
+ * @param {Object} [options]
+ * @param {boolean} [options.allowDeleted] - Let a mutating route handle deleted videos itself
+ */
+const requireVideoOwnership = (param = 'id', { allowDeleted = false } = {}) => async (req, res, next) => {
+  try {
+    const Video = getVideoModel();
+    const video = await Video.findById(req.params[param]);
+
+    if (!video) {
+      return res.status(404).json({
+        success: false,
+        error: 'Video not found'
+      });
+    }
+
+    if (!canActAs(req.auth, video.owner)) {
+      return denyOwnership(req, res, video.owner);
+    }
+
+    if (video.deleted && !allowDeleted && !READ_METHODS.includes(req.method)) {
+      return res.status(410).json({
+        success: false,
+        error: 'Video has been deleted',
+        code: 'VIDEO_DELETED'
+      });
+    }
+
+    req.video = video;
+    next();
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        error: 'Video not found'
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * Load a TempUpload by body.upload_id and verify the caller owns it
+ * Stores the document in req.tempUpload.
+ */
+const requireTempUploadOwnership = async (req, res, next) => {
+  try {
+    const uploadId = req.body?.upload_id;
+
+    if (!uploadId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Valid upload_id required'
+      });
+    }
+
+    const TempUpload = getTempUploadModel();
+    const tempUpload = await TempUpload.findOne({ upload_id: uploadId });
+
+    if (!tempUpload) {
+      return res.status(404).json({
+        success: false,
+        error: 'Upload not found or expired'
+      });
+    }
+
+    if (!canActAs(req.auth, tempUpload.owner)) {
+      return denyOwnership(req, res, tempUpload.owner);
+    }
+
+    req.tempUpload = tempUpload;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  IMPERSONATE_SCOPE,
+  canActAs,
+  denyOwnership,
+  bindOwner,
+  bindQueryOwner,
+  requireVideoOwnership,
+  requireTempUploadOwnership
+};
@@ -0,0 +1,197 @@
+const net = require('net');
+
+// ============================================
+// MONGODB RATE LIMIT STORE
+// ============================================
+// express-rate-limit store backed by the rate_limits collection so counters
+// survive restarts and are shared by every instance behind nginx.
+// Each limiter needs its own store instance: createStore('upload').
+//
+// Counting is a single atomic upsert per request: the window restarts when
+// the stored reset_at has passed, otherwise hits is incremented.
+
+const getRateLimitModel = () => {
+  return require('../models/RateLimit')();
+};
+
+/**
+ * Classify a limiter key for the admin view
+ * @param {string} client - Key produced by a keyGenerator
+ * @returns {'ip'|'user'|'api-key'}
+ */
+const getClientType = (client) => {
+  if (client.startsWith('api-key:')) return 'api-key';
+  if (net.isIP(client)) return 'ip';
+  return 'user';
+};
+
+class MongoRateLimitStore {
+  /**
+   * @param {string} limiter - Limiter name (stored with every counter)
+   */
+  constructor(limiter) {
+    this.limiter = limiter;
+    this.windowMs = 60 * 1000;
+    this.localKeys = false; // Counters are shared across instances
+  }
+
+  /**
+   * Called by express-rate-limit with the limiter options
+   */
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  /**
+   * Get the current counter for a client
+   */
+  async get(key) {
+    const RateLimit = getRateLimitModel();
+    const counter = await RateLimit.findOne({
+      limiter: this.limiter,
+      client: key,
+      reset_at: { $gt: new Date() }
+    }).lean();
+
+    if (!counter) {
+      return undefined;
+    }
+
+    return { totalHits: counter.hits, resetTime: counter.reset_at };
+  }
+
+  /**
+   * Count a hit, starting a new window when the previous one has passed
+   */
+  async increment(key) {
+    const RateLimit = getRateLimitModel();
+    const now = new Date();
+    const windowExpired = {
+      $or: [
+        { $eq: [{ $type: '$reset_at' }, 'missing'] },
+        { $lte: ['$reset_at', now] }
+      ]
+    };
+
+    const update = [{
+      $set: {
+        limiter: this.limiter,
+        client: key,
+        client_type: getClientType(key),
+        hits: { $cond: [windowExpired, 1, { $add: ['$hits', 1] }] },
+        reset_at: { $cond: [windowExpired, new Date(now.getTime() + this.windowMs), '$reset_at'] }
+      }
+    }];
+
+    const filter = { limiter: this.limiter, client: key };
+    const options = { upsert: true, returnDocument: 'after' };
+
+    let counter;
+    try {
+      counter = await RateLimit.collection.findOneAndUpdate(filter, update, options);
+    } catch (error) {
+      // Two instances raced to create the same counter; the retry updates it
+      if (error.code !== 11000) throw error;
+      counter = await RateLimit.collection.findOneAndUpdate(filter, update, options);
+    }
+
+    return { totalHits: counter.hits, resetTime: counter.reset_at };
+  }
+
+  /**
+   * Undo a hit (skipSuccessfulRequests / skipFailedRequests)
+   */
+  async decrement(key) {
+    const RateLimit = getRateLimitModel();
+    await RateLimit.updateOne(
+      { limiter: this.limiter, client: key, hits: { $gt: 0 } },
+      { $inc: { hits: -1 } }
+    );
+  }
+
+  /**
+   * Reset one client's counter
+   */
+  async resetKey(key) {
+    const RateLimit = getRateLimitModel();
+    await RateLimit.deleteOne({ limiter: this.limiter, client: key });
+  }
+
+  /**
+   * Reset every counter of this limiter
+   */
+  async resetAll() {
+    const RateLimit = getRateLimitModel();
+    await RateLimit.deleteMany({ limiter: this.limiter });
+  }
+}
+
+/**
+ * Create a store for a named limiter
+ * @param {string} limiter - Limiter name
+ * @returns {MongoRateLimitStore}
+ */
+const createStore = (limiter) => new MongoRateLimitStore(limiter);
+
+// ============================================
+// ADMIN HELPERS
+// ============================================
+
+/**
+ * List active counters
+ * @param {Object} filters - { client, limiter, clientType, limit, offset }
+ * @returns {Promise<{counters: Array, total: number}>}
+ */
+const listCounters = async ({ client, limiter, clientType, limit = 50, offset = 0 } = {}) => {
+  const RateLimit = getRateLimitModel();
+  const query = { reset_at: { $gt: new Date() } };
+  if (client) query.client = client;
+  if (limiter) query.limiter = limiter;
+  if (clientType) query.client_type = clientType;
+
+  const [counters, total] = await Promise.all([
+    RateLimit.find(query)
+      .sort({ hits: -1 })
+      .skip(offset)
+      .limit(limit)
+      .lean(),
+    RateLimit.countDocuments(query)
+  ]);
+
+  return {
+    counters: counters.map(counter => ({
+      limiter: counter.limiter,
+      client: counter.client,
+      client_type: counter.client_type,
+      hits: counter.hits,
+      reset_at: counter.reset_at
+    })),
+    total
+  };
+};
+
+/**
+ * Reset counters matching a client and/or limiter
+ * @param {Object} filters - { client, limiter } (at least one required)
+ * @returns {Promise<number>} Number of counters removed
+ */
+const resetCounters = async ({ client, limiter } = {}) => {
+  if (!client && !limiter) {
+    throw new Error('A client or limiter is required to reset counters');
+  }
+
+  const RateLimit = getRateLimitModel();
+  const query = {};
+  if (client) query.client = client;
+  if (limiter) query.limiter = limiter;
+
+  const result = await RateLimit.deleteMany(query);
+  return result.deletedCount;
+};
+
+module.exports = {
+  MongoRateLimitStore,
+  createStore,
+  listCounters,
+  resetCounters
+};
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const { SCOPES, ROLE_NAMES } = require('../config/roles');
+
+// ============================================
+// API KEY SCHEMA
+// ============================================
+// Per-partner API keys replacing the single shared UPLOAD_SECRET_TOKEN.
+// Only a SHA-256 hash of the secret part is stored; the full key is
+// shown once at creation/rotation time.
+// Key format: 3sk_<key_id>_<secret>
+
+const apiKeySchema = new mongoose.Schema({
+  // ============================================
+  // KEY IDENTIFICATION
+  // ============================================
+  key_id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  key_hash: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    maxlength: 100
+  },
+
+  // ============================================
+  // PERMISSIONS
+  // ============================================
+  app: {
+    type: String,
+    required: true,
+    maxlength: 50
+  }, // Stamped onto Video.app for uploads made with this key
+  scopes: {
+    type: [String],
+    enum: SCOPES,
+    default: ['upload', 'read-status']
+  },
+  roles: {
+    type: [String],
+    enum: ROLE_NAMES,
+    default: []
+  }, // Expanded into scopes on top of the explicit ones
+  rate_limit: {
+    type: Number,
+    default: null,
+    min: 1
+  }, // Requests per rate window (null = service default)
+
+  // ============================================
+  // LIFECYCLE
+  // ============================================
+  revoked: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  revoked_at: {
+    type: Date,
+    default: null
+  },
+  rotated_at: {
+    type: Date,
+    default: null
+  },
+  last_used: {
+    type: Date,
+    default: null
+  },
+  created_by: {
+    type: String,
+    default: null
+  },
+  created: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'api_keys',
+  timestamps: false
+});
+
+// ============================================
+// INDEXES
+// ============================================
+apiKeySchema.index({ app: 1, revoked: 1 });
+
+// ============================================
+// INSTANCE METHODS
+// ============================================
+
+apiKeySchema.methods.toPublicJSON = function() {
+  return {
+    key_id: this.key_id,
+    name: this.name,
+    app: this.app,
+    scopes: this.scopes,
+    roles: this.roles,
+    rate_limit: this.rate_limit,
+    revoked: this.revoked,
+    revoked_at: this.revoked_at,
+    rotated_at: this.rotated_at,
+    last_used: this.last_used,
+    created_by: this.created_by,
+    created: this.created
+  };
+};
+
+// ============================================
+// MODEL CREATION
+// ============================================
+const createModel = () => {
+  const { threeSpeakDb } = require('../config/database');
+  if (!threeSpeakDb) {
+    throw new Error('ThreeSpeak database connection not established');
+  }
+  return threeSpeakDb.model('ApiKey', apiKeySchema);
+};
+
+module.exports = createModel;
@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+
+// ============================================
+// AUDIT LOG SCHEMA
+// ============================================
+// Append-only record of state-changing operations and permission denials.
+// Written by src/services/audit.js; entries are never updated or deleted
+// (updates/deletes through the model throw).
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true,
+    index: true
+  }, // e.g. "upload.init", "video.thumbnail", "storage.unpin", "authorization"
+  outcome: {
+    type: String,
+    enum: ['success', 'denied', 'failure'],
+    required: true,
+    index: true
+  },
+
+  // ============================================
+  // ACTOR
+  // ============================================
+  actor: {
+    type: {
+      type: String,
+      default: 'anonymous'
+    }, // session, api-key, bearer-token, cli, system, anonymous
+    id: {
+      type: String,
+      default: null
+    }, // Hive username or API key ID
+    roles: {
+      type: [String],
+      default: []
+    }
+  },
+
+  // ============================================
+  // REQUEST CONTEXT
+  // ============================================
+  ip: {
+    type: String,
+    default: null
+  },
+  method: {
+    type: String,
+    default: null
+  },
+  path: {
+    type: String,
+    default: null
+  },
+
+  // ============================================
+  // TARGETS & CHANGES
+  // ============================================
+  targets: [{
+    _id: false,
+    type: {
+      type: String,
+      required: true
+    }, // video, upload, creator, api_key, role, cid, ...
+    id: {
+      type: String,
+      required: true
+    }
+  }],
+  changes: {
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    }
+  }, // Only the fields that changed
+
+  reason: {
+    type: String,
+    default: null
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  created: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+}, {
+  collection: 'audit_logs',
+  timestamps: false
+});
+
+// ============================================
+// INDEXES
+// ============================================
+auditLogSchema.index({ 'actor.id': 1, created: -1 });
+auditLogSchema.index({ 'targets.type': 1, 'targets.id': 1, created: -1 });
+auditLogSchema.index({ action: 1, created: -1 });
+
+// ============================================
+// APPEND-ONLY GUARD
+// ============================================
+const rejectMutation = function(next) {
+  next(new Error('Audit log entries are append-only'));
+};
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace'
+].forEach(operation => auditLogSchema.pre(operation, rejectMutation));
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Audit log entries are append-only'));
+  }
+  next();
+});
+
+// ============================================
+// MODEL CREATION
+// ============================================
+const createModel = () => {
+  const { threeSpeakDb } = require('../config/database');
+  if (!threeSpeakDb) {
+    throw new Error('ThreeSpeak database connection not established');
+  }
+  return threeSpeakDb.model('AuditLog', auditLogSchema);
+};
+
+module.exports = createModel;
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// ============================================
+// HIVE AUTH CHALLENGE SCHEMA
+// ============================================
+// Nonces issued to clients for Hive Keychain signature login.
+// Each challenge can be verified once, after which a session is issued.
+// MongoDB removes them after expiry.
+const authChallengeSchema = new mongoose.Schema({
+  challenge_id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  username: {
+    type: String,
+    required: true,
+    index: true,
+    match: /^[a-z0-9.-]+$/
+  },
+  message: {
+    type: String,
+    required: true
+  },
+
+  // ============================================
+  // VERIFICATION STATUS
+  // ============================================
+  verified: {
+    type: Boolean,
+    default: false
+  },
+  verified_at: {
+    type: Date,
+    default: null
+  },
+
+  // ============================================
+  // TIMESTAMPS & EXPIRATION
+  // ============================================
+  created: {
+    type: Date,
+    default: Date.now
+  },
+  expires: {
+    type: Date,
+    required: true
+  }
+}, {
+  collection: 'auth_challenges',
+  timestamps: false
+});
+
+// ============================================
+// INDEXES
+// ============================================
+authChallengeSchema.index({ expires: 1 }, { expireAfterSeconds: 0 }); // TTL cleanup
+
+// ============================================
+// INSTANCE METHODS
+// ============================================
+
+/**
+ * Check if challenge is expired
+ */
+authChallengeSchema.methods.isExpired = function() {
+  return this.expires < new Date();
+};
+
+// ============================================
+// MODEL CREATION
+// ============================================
+const createModel = () => {
+  const { threeSpeakDb } = require('../config/database');
+  if (!threeSpeakDb) {
+    throw new Error('ThreeSpeak database connection not established');
+  }
+  return threeSpeakDb.model('AuthChallenge', authChallengeSchema);
+};
+
+module.exports = createModel;
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+// ============================================
+// AUTH SESSION SCHEMA
+// ============================================
+// One document per login session issued after Hive signature verification.
+// Access tokens reference the session by ID (jti) so a session can be revoked
+// before its tokens expire. Refresh tokens are stored as SHA-256 hashes only.
+const authSessionSchema = new mongoose.Schema({
+  session_id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  username: {
+    type: String,
+    required: true,
+    index: true,
+    match: /^[a-z0-9.-]+$/
+  },
+  refresh_token_hash: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  // ============================================
+  // REVOCATION
+  // ============================================
+  revoked: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  revoked_at: {
+    type: Date,
+    default: null
+  },
+
+  // ============================================
+  // CLIENT INFO
+  // ============================================
+  ip: {
+    type: String,
+    default: null
+  },
+  user_agent: {
+    type: String,
+    default: null
+  },
+
+  // ============================================
+  // TIMESTAMPS & EXPIRATION
+  // ============================================
+  created: {
+    type: Date,
+    default: Date.now
+  },
+  last_refreshed: {
+    type: Date,
+    default: null
+  },
+  expires: {
+    type: Date,
+    required: true
+  }
+}, {
+  collection: 'auth_sessions',
+  timestamps: false
+});
+
+// ============================================
+// INDEXES
+// ============================================
+authSessionSchema.index({ username: 1, revoked: 1 });
+authSessionSchema.index({ expires: 1 }, { expireAfterSeconds: 0 }); // TTL cleanup
+
+// ============================================
+// INSTANCE METHODS
+// ============================================
+
+/**
+ * Check if session can still be used
+ */
+authSessionSchema.methods.isActive = function() {
+  return !this.revoked && this.expires > new Date();
+};
+
+// ============================================
+// MODEL CREATION
+// ============================================
+const createModel = () => {
+  const { threeSpeakDb } = require('../config/database');
+  if (!threeSpeakDb) {
+    throw new Error('ThreeSpeak database connection not established');
+  }
+  return threeSpeakDb.model('AuthSession', authSessionSchema);
+};
+
+module.exports = createModel;
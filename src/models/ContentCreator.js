@@ -34,7 +34,15 @@ const contentCreatorSchema = new mongoose.Schema({
   limit: {
     type: Number,
     default: 0
-  },
+  }, // Max uploads per day (0 = global default, see services/quota.js)
+  monthlyByteLimit: {
+    type: Number,
+    default: null
+  }, // Max bytes uploaded per calendar month (null = global default)
+  monthlyDurationLimit: {
+    type: Number,
+    default: null
+  }, // Max seconds of video per calendar month (null = global default)
   hidden: {
     type: Boolean,
     default: false
@@ -142,7 +150,7 @@ contentCreatorSchema.statics.findOrCreate = async function(username) {
 
 /**
  * Check if user can upload
- * Returns { canUpload: boolean, reason: string }
+ * Returns { canUpload: boolean, reason: string, creator }
  */
 contentCreatorSchema.statics.checkUploadPermission = async function(username) {
   const { creator } = await this.findOrCreate(username);
@@ -150,20 +158,23 @@ contentCreatorSchema.statics.checkUploadPermission = async function(username) {
   if (creator.banned) {
     return {
       canUpload: false,
-      reason: 'User is banned from uploading'
+      reason: 'User is banned from uploading',
+      creator
     };
   }
 
   if (!creator.canUpload) {
     return {
       canUpload: false,
-      reason: 'User does not have upload permission'
+      reason: 'User does not have upload permission',
+      creator
     };
   }
 
   return {
     canUpload: true,
-    reason: null
+    reason: null,
+    creator
   };
 };
 
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// ============================================
+// HOOK SIGNATURE SCHEMA
+// ============================================
+// Signatures of accepted hook callbacks (middleware/hook-signature.js),
+// shared by every instance so a captured callback cannot be replayed
+// against another one. Documents expire through the TTL index once the
+// signature's timestamp is outside the replay window.
+const hookSignatureSchema = new mongoose.Schema({
+  signature: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expires: {
+    type: Date,
+    required: true
+  }
+}, {
+  collection: 'hook_signatures',
+  timestamps: false
+});
+
+// ============================================
+// INDEXES
+// ============================================
+hookSignatureSchema.index({ expires: 1 }, { expireAfterSeconds: 0 }); // TTL
+
+// ============================================
+// MODEL CREATION
+// ============================================
+const createModel = () => {
+  const { threeSpeakDb } = require('../config/database');
+  if (!threeSpeakDb) {
+    throw new Error('ThreeSpeak database connection not established');
+  }
+  return threeSpeakDb.model('HookSignature', hookSignatureSchema);
+};
+
+module.exports = createModel;
@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+
+// ============================================
+// INGEST TASK SCHEMA
+// ============================================
+// Durable post-upload work queue ("ingest this file"): IPFS upload,
+// encoding job creation and temp file cleanup. Written by the TUS
+// completion and /finalize, processed by the worker pool in
+// src/services/ingest-queue.js (which runs src/services/ingest.js).
+// One task per video.
+const ingestTaskSchema = new mongoose.Schema({
+  video_id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  owner: {
+    type: String,
+    required: true,
+    index: true
+  },
+  permlink: {
+    type: String,
+    required: true
+  },
+  file_path: {
+    type: String,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['tus', 'finalize'],
+    required: true
+  },
+
+  // ============================================
+  // QUEUE STATE
+  // ============================================
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  max_attempts: {
+    type: Number,
+    default: 5
+  },
+  next_attempt_at: {
+    type: Date,
+    default: Date.now
+  },
+  locked_by: {
+    type: String,
+    default: null
+  }, // Worker ID (host:pid)
+  locked_at: {
+    type: Date,
+    default: null
+  },
+  last_error: {
+    type: String,
+    default: null
+  },
+  last_error_code: {
+    type: String,
+    default: null
+  }, // IngestService failure code (VIDEO_NOT_FOUND, IPFS_UPLOAD_FAILED, ...)
+
+  // ============================================
+  // RESULT
+  // ============================================
+  ipfs_hash: {
+    type: String,
+    default: null
+  },
+  job_id: {
+    type: String,
+    default: null
+  },
+
+  created: {
+    type: Date,
+    default: Date.now
+  },
+  updated: {
+    type: Date,
+    default: Date.now
+  },
+  completed_at: {
+    type: Date,
+    default: null
+  }
+}, {
+  collection: 'ingest_tasks',
+  timestamps: false
+});
+
+// ============================================
+// INDEXES
+// ============================================
+ingestTaskSchema.index({ status: 1, next_attempt_at: 1 }); // Claiming
+ingestTaskSchema.index({ status: 1, locked_at: 1 }); // Stale lock recovery
+
+// ============================================
+// INSTANCE METHODS
+// ============================================
+
+/**
+ * Queue state safe to return to clients
+ */
+ingestTaskSchema.methods.toPublicJSON = function() {
+  return {
+    status: this.status,
+    attempts: this.attempts,
+    max_attempts: this.max_attempts,
+    next_attempt_at: this.status === 'queued' ? this.next_attempt_at : null,
+    last_error: this.last_error,
+    last_error_code: this.last_error_code,
+    job_id: this.job_id,
+    created: this.created,
+    completed_at: this.completed_at
+  };
+};
+
+// ============================================
+// MODEL CREATION
+// ============================================
+const createModel = () => {
+  const { threeSpeakDb } = require('../config/database');
+  if (!threeSpeakDb) {
+    throw new Error('ThreeSpeak database connection not established');
+  }
+  return threeSpeakDb.model('IngestTask', ingestTaskSchema);
+};
+
+module.exports = createModel;
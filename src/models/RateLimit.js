@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// ============================================
+// RATE LIMIT COUNTER SCHEMA
+// ============================================
+// One document per (limiter, client) window, shared by every instance.
+// Written by src/middleware/rate-limit-store.js. Documents expire through
+// the TTL index once their window has passed.
+const rateLimitSchema = new mongoose.Schema({
+  limiter: {
+    type: String,
+    required: true
+  }, // e.g. "upload", "auth", "general"
+  client: {
+    type: String,
+    required: true
+  }, // Key from the limiter's keyGenerator (IP, Hive username, api-key:<id>)
+  client_type: {
+    type: String,
+    enum: ['ip', 'user', 'api-key'],
+    default: 'ip'
+  },
+  hits: {
+    type: Number,
+    default: 0
+  },
+  reset_at: {
+    type: Date,
+    required: true
+  }
+}, {
+  collection: 'rate_limits',
+  timestamps: false
+});
+
+// ============================================
+// INDEXES
+// ============================================
+rateLimitSchema.index({ limiter: 1, client: 1 }, { unique: true });
+rateLimitSchema.index({ client: 1 });
+rateLimitSchema.index({ reset_at: 1 }, { expireAfterSeconds: 0 }); // TTL
+
+// ============================================
+// MODEL CREATION
+// ============================================
+const createModel = () => {
+  const { threeSpeakDb } = require('../config/database');
+  if (!threeSpeakDb) {
+    throw new Error('ThreeSpeak database connection not established');
+  }
+  return threeSpeakDb.model('RateLimit', rateLimitSchema);
+};
+
+module.exports = createModel;
@@ -41,6 +41,10 @@ const tempUploadSchema = new mongoose.Schema({
     required: true,
     min: 0.1
   },
+  claimed_sha256: {
+    type: String,
+    default: null
+  }, // Optional digest declared in /init
   
   // ============================================
   // TUS UPLOAD STATUS
@@ -54,6 +58,26 @@ const tempUploadSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  media: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }, // ffprobe result (services/media.js), copied to the video on finalize
+  sha256: {
+    type: String,
+    default: null
+  }, // Digest of the completed file, copied to the video on finalize
+  rejected_reason: {
+    type: String,
+    default: null
+  }, // Set when the probed media was rejected
+  quarantine_reason: {
+    type: String,
+    default: null
+  }, // Set when the file is not a valid video container
+  quarantined_at: {
+    type: Date,
+    default: null
+  },
   
   // ============================================
   // FINALIZATION STATUS
@@ -108,7 +132,8 @@ tempUploadSchema.statics.createUpload = async function(uploadData) {
     owner: uploadData.owner,
     originalFilename: uploadData.originalFilename,
     size: uploadData.size,
-    duration: uploadData.duration
+    duration: uploadData.duration,
+    claimed_sha256: uploadData.claimed_sha256 || null
   });
   
   await upload.save();
@@ -119,12 +144,14 @@ tempUploadSchema.statics.createUpload = async function(uploadData) {
 /**
  * Mark TUS upload as completed
  */
-tempUploadSchema.statics.markTusCompleted = async function(upload_id, filePath) {
+tempUploadSchema.statics.markTusCompleted = async function(upload_id, filePath, { media = null, sha256 = null } = {}) {
   const upload = await this.findOneAndUpdate(
     { upload_id },
     { 
       tus_completed: true,
-      tus_file_path: filePath
+      tus_file_path: filePath,
+      media,
+      sha256
     },
     { new: true }
   );
@@ -158,6 +185,24 @@ tempUploadSchema.statics.markFinalized = async function(upload_id, video_id) {
   return upload;
 };
 
+/**
+ * Quarantine an upload whose file is not a valid video container
+ */
+tempUploadSchema.statics.markQuarantined = async function(upload_id, reason) {
+  const upload = await this.findOneAndUpdate(
+    { upload_id },
+    {
+      quarantine_reason: reason,
+      quarantined_at: new Date(),
+      tus_file_path: null
+    },
+    { new: true }
+  );
+
+  console.log(`☣️ Upload quarantined: ${upload_id} (${reason})`);
+  return upload;
+};
+
 /**
  * Find expired orphaned uploads (not finalized, past expiration)
  */
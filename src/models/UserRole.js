@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const { ROLE_NAMES } = require('../config/roles');
+
+// ============================================
+// USER ROLE SCHEMA
+// ============================================
+// Extra roles granted to a Hive account on top of the default "uploader".
+// One document per account; see src/config/roles.js for role definitions.
+const userRoleSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    match: /^[a-z0-9.-]+$/
+  },
+  roles: {
+    type: [String],
+    enum: ROLE_NAMES,
+    default: []
+  },
+  granted_by: {
+    type: String,
+    default: null
+  },
+  created: {
+    type: Date,
+    default: Date.now
+  },
+  updated: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'user_roles',
+  timestamps: false
+});
+
+// ============================================
+// MIDDLEWARE
+// ============================================
+userRoleSchema.pre('save', function(next) {
+  this.updated = new Date();
+  next();
+});
+
+// ============================================
+// MODEL CREATION
+// ============================================
+const createModel = () => {
+  const { threeSpeakDb } = require('../config/database');
+  if (!threeSpeakDb) {
+    throw new Error('ThreeSpeak database connection not established');
+  }
+  return threeSpeakDb.model('UserRole', userRoleSchema);
+};
+
+module.exports = createModel;
@@ -20,9 +20,9 @@ const videoSchema = new mongoose.Schema({
     required: true, 
     unique: true,
     index: true,
-    minlength: 8,
-    maxlength: 8
-  },
+    minlength: 3,
+    maxlength: 255
+  }, // 8 random characters, or a title slug with suffix (services/permlink.js)
   
   // ============================================
   // UPLOAD SERVICE TRACKING
@@ -48,12 +48,12 @@ const videoSchema = new mongoose.Schema({
   // ============================================
   title: { 
     type: String, 
-    required: true,
+    required: function() { return !this.draft; }, // Drafts get it before publishing
     maxlength: 250
   },
   description: { 
     type: String, 
-    required: true,
+    required: function() { return !this.draft; },
     maxlength: 50000
   },
   tags: { 
@@ -64,7 +64,11 @@ const videoSchema = new mongoose.Schema({
     type: String,
     maxlength: 50
   }], // Array format
-  thumbnail: String, // "ipfs://hash" format
+  thumbnail: String, // "ipfs://hash" format, 1280x720 JPEG (services/thumbnail.js)
+  thumbnail_small: {
+    type: String,
+    default: null
+  }, // 320x180 variant
   
   // ============================================
   // FILE INFORMATION
@@ -102,7 +106,10 @@ const videoSchema = new mongoose.Schema({
       'encoding_progress',
       'encoding_completed',
       'published',
-      'failed'
+      'publish_manual', // Set by the encoder: encoded, waiting for the creator to publish
+      'scheduled', // Set by the encoder: encoded, waiting for publish_at (publish_type 'schedule')
+      'failed',
+      'quarantined' // Not a valid video container (services/file-type.js)
     ],
     index: true
   },
@@ -128,7 +135,20 @@ const videoSchema = new mongoose.Schema({
     type: String, 
     default: 'publish',
     enum: ['publish', 'schedule']
+  }, // 'schedule' holds auto-publish until publish_at (services/publish-scheduler.js)
+  publish_at: {
+    type: Date,
+    default: null
   },
+  draft: {
+    type: Boolean,
+    default: false,
+    index: true
+  }, // Metadata still being edited - encodes, but waits for POST /drafts/:video_id/publish
+  published_at: {
+    type: Date,
+    default: null
+  }, // When we moved it to 'published' (null when the encoder published it)
   community: String,
   hive: String, // Community ID like "hive-181335"
   language: { 
@@ -177,7 +197,7 @@ const videoSchema = new mongoose.Schema({
   fromMobile: { 
     type: Boolean, 
     default: false 
-  }, // Always false for this service
+  }, // Encoder-facing mirror of the draft/deletion hold (set by the pre-save hook)
   firstUpload: { 
     type: Boolean, 
     default: false 
@@ -304,6 +324,90 @@ const videoSchema = new mongoose.Schema({
     type: Number, 
     default: null 
   },
+
+  // ============================================
+  // PROBED MEDIA (ffprobe, see services/media.js)
+  // ============================================
+  codec: {
+    type: String,
+    default: null
+  },
+  bitrate: {
+    type: Number,
+    default: null
+  }, // bits/s
+  framerate: {
+    type: Number,
+    default: null
+  },
+  audio_tracks: {
+    type: [{
+      _id: false,
+      codec: String,
+      channels: Number,
+      sample_rate: Number,
+      bitrate: Number,
+      language: String
+    }],
+    default: undefined
+  },
+  probed_at: {
+    type: Date,
+    default: null
+  },
+
+  thumbnail_candidates: {
+    type: [{
+      _id: false,
+      uri: String,
+      small_uri: String,
+      position: Number, // Fraction of the duration
+      time: Number, // Seconds
+      score: Number
+    }],
+    default: undefined
+  }, // Server-generated frames (services/thumbnail.js), best first
+
+  // ============================================
+  // INTEGRITY (services/checksum.js)
+  // ============================================
+  claimed_sha256: {
+    type: String,
+    default: null
+  }, // Optional digest declared in /prepare
+  sha256: {
+    type: String,
+    default: null
+  }, // Verified digest of the uploaded file
+  duplicate_of: {
+    type: String,
+    default: null
+  }, // Existing video with the same content (this one was not processed)
+  quarantine_reason: {
+    type: String,
+    default: null
+  },
+  quarantined_at: {
+    type: Date,
+    default: null
+  },
+
+  // ============================================
+  // DELETION (DELETE /api/upload/video/:id)
+  // ============================================
+  deleted: {
+    type: Boolean,
+    default: false,
+    index: true
+  }, // Soft delete - hidden from listings, the document stays for the legacy platform
+  deleted_at: {
+    type: Date,
+    default: null
+  },
+  delete_reason: {
+    type: String,
+    default: null
+  },
   jsonMetaDataAppName: { 
     type: String, 
     default: null 
@@ -324,6 +428,8 @@ videoSchema.index({ owner: 1, created: -1 });
 videoSchema.index({ status: 1, created: -1 });
 videoSchema.index({ upload_service_id: 1, fallback_mode: 1, cleanup_eligible: 1 });
 videoSchema.index({ job_id: 1 });
+videoSchema.index({ owner: 1, sha256: 1 }); // Exact-duplicate lookups
+videoSchema.index({ publish_type: 1, publish_at: 1 }); // Due scheduled publishes
 
 // ============================================
 // VIRTUAL FIELDS
@@ -353,6 +459,77 @@ videoSchema.methods.updateStatus = function(newStatus, progress = null) {
   return this.save();
 };
 
+videoSchema.methods.quarantine = function(reason) {
+  this.status = 'quarantined';
+  this.quarantine_reason = reason;
+  this.quarantined_at = new Date();
+  this.local_filename = null;
+  return this.save();
+};
+
+// Videos are held back from auto-publishing in two ways: drafts (draft) end
+// up at 'publish_manual' because the pre-save hook mirrors the hold onto the
+// legacy manual-publish flag the encoder knows (fromMobile), scheduled videos
+// have publish_type 'schedule' and end up at 'scheduled'. Once no hold is left, a video that already finished
+// encoding moves straight to 'published'; one still encoding is published by
+// the encoder when it finishes.
+const HELD_STATUSES = ['publish_manual', 'scheduled'];
+
+// Published on Hive (auto-published by the encoder or released by us)
+videoSchema.methods.isPublished = function() {
+  return this.status === 'published' || this.steemPosted === true;
+};
+
+videoSchema.methods.isHeld = function() {
+  return this.draft || this.publish_type === 'schedule';
+};
+
+videoSchema.methods.publishIfReleased = function() {
+  if (this.isHeld() || !HELD_STATUSES.includes(this.status)) return;
+  // App uploads are published by the app itself (the encoder leaves them at 'publish_manual')
+  if (this.app) {
+    this.status = 'publish_manual';
+    return;
+  }
+  this.status = 'published';
+  this.published_at = new Date();
+};
+
+videoSchema.methods.missingForPublish = function() {
+  const missing = [];
+  if (!this.title || this.title.trim().length < 5) missing.push('title');
+  if (!this.description || !this.description.trim()) missing.push('description');
+  return missing;
+};
+
+videoSchema.methods.publishDraft = function(publishAt = null) {
+  this.draft = false;
+  this.schedulePublish(publishAt);
+  return this.save();
+};
+
+// Does not save: callers combine it with other changes
+videoSchema.methods.schedulePublish = function(publishAt) {
+  this.publish_type = publishAt ? 'schedule' : 'publish';
+  this.publish_at = publishAt || null;
+  this.publishIfReleased();
+};
+
+// Does not release anything: callers cancel the job and unpin/remove files
+// (services/cleanup.js releaseVideo) for videos that were not published
+videoSchema.methods.softDelete = function(reason) {
+  this.deleted = true;
+  this.deleted_at = new Date();
+  this.delete_reason = reason;
+  this.draft = false;
+  if (!this.isPublished()) {
+    // The pre-save hook holds it so the encoder won't publish it should the job still finish
+    this.publish_type = 'publish';
+    this.publish_at = null;
+  }
+  return this.save();
+};
+
 videoSchema.methods.markForCleanup = function() {
   this.cleanup_eligible = true;
   return this.save();
@@ -367,10 +544,26 @@ videoSchema.methods.toPublicJSON = function() {
     description: this.description,
     tags: this.tags_v2 || [],
     thumbnail: this.thumbnail,
+    thumbnail_small: this.thumbnail_small || null,
     status: this.status,
+    draft: this.draft || false,
+    deleted: this.deleted || false,
+    publish_type: this.publish_type,
+    publish_at: this.publish_at || null,
+    quarantine_reason: this.quarantine_reason || null,
     encodingProgress: this.encodingProgress,
     duration: this.duration,
     size: this.size,
+    sha256: this.sha256 || null,
+    duplicate_of: this.duplicate_of || null,
+    media: this.probed_at ? {
+      width: this.width,
+      height: this.height,
+      codec: this.codec,
+      bitrate: this.bitrate,
+      framerate: this.framerate,
+      audio_tracks: this.audio_tracks || []
+    } : null,
     created: this.created,
     community: this.community
   };
@@ -379,8 +572,25 @@ videoSchema.methods.toPublicJSON = function() {
 // ============================================
 // STATIC METHODS
 // ============================================
+/**
+ * Live video of an owner with exactly this content (failed and quarantined
+ * videos do not count, so a failed upload can be retried)
+ */
+videoSchema.statics.findDuplicate = function(owner, sha256, excludeId = null) {
+  const query = {
+    owner,
+    sha256,
+    status: { $nin: ['failed', 'quarantined'] },
+    deleted: { $ne: true }
+  };
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+  return this.findOne(query).sort({ created: 1 });
+};
+
 videoSchema.statics.findByOwner = function(owner, options = {}) {
-  const query = { owner };
+  const query = { owner, deleted: { $ne: true } };
   
   if (options.status) {
     query.status = options.status;
@@ -392,6 +602,24 @@ videoSchema.statics.findByOwner = function(owner, options = {}) {
     .skip(options.offset || 0);
 };
 
+videoSchema.statics.findDrafts = function(owner, options = {}) {
+  return this.find({ owner, draft: true, deleted: { $ne: true } })
+    .sort({ created: -1 })
+    .limit(options.limit || 20)
+    .skip(options.offset || 0);
+};
+
+videoSchema.statics.findDueForPublish = function(now = new Date(), limit = 100) {
+  return this.find({
+    publish_type: 'schedule',
+    publish_at: { $lte: now },
+    draft: { $ne: true },
+    deleted: { $ne: true }
+  })
+    .sort({ publish_at: 1 })
+    .limit(limit);
+};
+
 videoSchema.statics.findEligibleForCleanup = function(retentionDays = 7) {
   const cutoffDate = new Date();
   cutoffDate.setDate(cutoffDate.getDate() - retentionDays);
@@ -418,6 +646,12 @@ videoSchema.pre('save', function(next) {
   if (this.tags_v2 && this.tags_v2.length > 0 && !this.tags) {
     this.tags = this.tags_v2.join(',');
   }
+
+  // The encoder only knows the legacy manual-publish flag: mirror the draft
+  // hold, and the hold on deleted unpublished videos, onto it
+  if (this.isNew || this.isModified('draft') || this.isModified('deleted')) {
+    this.fromMobile = Boolean(this.draft || (this.deleted && !this.isPublished()));
+  }
   
   next();
 });
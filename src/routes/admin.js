@@ -0,0 +1,572 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+
+const apiKeyService = require('../services/api-key');
+const roleService = require('../services/role');
+const auditService = require('../services/audit');
+const { ROLES, ROLE_NAMES } = require('../config/roles');
+const { requireAuth, requireScope } = require('../middleware/auth');
+const { listCounters, resetCounters } = require('../middleware/rate-limit-store');
+const policyService = require('../services/policy');
+
+const router = express.Router();
+
+// Every admin route needs an identity holding the "admin" scope
+router.use(requireAuth, requireScope('admin'));
+
+// ============================================
+// VALIDATION MIDDLEWARE
+// ============================================
+const validateKeyId = param('key_id')
+  .isHexadecimal()
+  .isLength({ min: 16, max: 16 })
+  .withMessage('Valid key_id required');
+
+const validateRoles = [
+  body('roles')
+    .isArray()
+    .withMessage('Roles must be an array'),
+  body('roles.*')
+    .isIn(ROLE_NAMES)
+    .withMessage(`Roles must be one of: ${ROLE_NAMES.join(', ')}`)
+];
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+/**
+ * Describe the admin identity for created_by / logs
+ */
+const describeActor = (auth) => {
+  if (auth.username) return `@${auth.username}`;
+  if (auth.apiKeyId) return `api-key:${auth.apiKeyId}`;
+  return auth.authType;
+};
+
+// ============================================
+// API KEY ROUTES
+// ============================================
+
+/**
+ * LIST API KEYS
+ * ?include_revoked=true to include revoked keys, ?app= to filter
+ */
+router.get('/api-keys',
+  query('include_revoked').optional().isBoolean(),
+  query('app').optional().isLength({ max: 50 }),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const keys = await apiKeyService.listKeys({
+        includeRevoked: req.query.include_revoked === 'true',
+        app: req.query.app || null
+      });
+
+      res.json({
+        success: true,
+        data: keys.map(key => key.toPublicJSON())
+      });
+    } catch (error) {
+      console.error('❌ List API keys error:', error);
+      res.status(500).json({
+        success: false,
+        error: process.env.NODE_ENV === 'production'
+          ? 'Failed to list API keys'
+          : error.message
+      });
+    }
+  }
+);
+
+/**
+ * CREATE API KEY
+ * The full key is only returned in this response
+ */
+router.post('/api-keys',
+  body('name')
+    .isString()
+    .isLength({ min: 1, max: 100 })
+    .trim()
+    .withMessage('Name must be 1-100 characters'),
+  body('app')
+    .isString()
+    .isLength({ min: 1, max: 50 })
+    .trim()
+    .withMessage('App name must be 1-50 characters'),
+  body('scopes')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Scopes must be a non-empty array'),
+  body('scopes.*')
+    .isIn(apiKeyService.scopes)
+    .withMessage(`Scopes must be one of: ${apiKeyService.scopes.join(', ')}`),
+  body('roles')
+    .optional()
+    .isArray()
+    .withMessage('Roles must be an array'),
+  body('roles.*')
+    .isIn(ROLE_NAMES)
+    .withMessage(`Roles must be one of: ${ROLE_NAMES.join(', ')}`),
+  body('rate_limit')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Rate limit must be a positive integer'),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const { name, app, scopes, roles, rate_limit } = req.body;
+
+      const { key, apiKey } = await apiKeyService.createKey({
+        name,
+        app,
+        scopes,
+        roles,
+        rateLimit: rate_limit ? parseInt(rate_limit) : null,
+        createdBy: describeActor(req.auth)
+      });
+
+      auditService.record({
+        action: 'api_key.create',
+        outcome: 'success',
+        req,
+        targets: [{ type: 'api_key', id: apiKey.key_id }],
+        changes: auditService.diff(null, { app: apiKey.app, scopes: apiKey.scopes, roles: apiKey.roles, rate_limit: apiKey.rate_limit })
+      });
+
+      res.status(201).json({
+        success: true,
+        data: {
+          ...apiKey.toPublicJSON(),
+          key
+        }
+      });
+    } catch (error) {
+      console.error('❌ Create API key error:', error);
+      res.status(500).json({
+        success: false,
+        error: process.env.NODE_ENV === 'production'
+          ? 'Failed to create API key'
+          : error.message
+      });
+    }
+  }
+);
+
+/**
+ * ROTATE API KEY
+ * Issues a new secret for the same key_id; the old secret stops working
+ */
+router.post('/api-keys/:key_id/rotate',
+  validateKeyId,
+  handleValidation,
+  async (req, res) => {
+    try {
+      const result = await apiKeyService.rotateKey(req.params.key_id);
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          error: 'API key not found or revoked'
+        });
+      }
+
+      console.log(`🔄 API key ${req.params.key_id} rotated by ${describeActor(req.auth)}`);
+      auditService.record({
+        action: 'api_key.rotate',
+        outcome: 'success',
+        req,
+        targets: [{ type: 'api_key', id: req.params.key_id }]
+      });
+
+      res.json({
+        success: true,
+        data: {
+          ...result.apiKey.toPublicJSON(),
+          key: result.key
+        }
+      });
+    } catch (error) {
+      console.error('❌ Rotate API key error:', error);
+      res.status(500).json({
+        success: false,
+        error: process.env.NODE_ENV === 'production'
+          ? 'Failed to rotate API key'
+          : error.message
+      });
+    }
+  }
+);
+
+/**
+ * REVOKE API KEY
+ */
+router.delete('/api-keys/:key_id',
+  validateKeyId,
+  handleValidation,
+  async (req, res) => {
+    try {
+      const apiKey = await apiKeyService.revokeKey(req.params.key_id);
+
+      if (!apiKey) {
+        return res.status(404).json({
+          success: false,
+          error: 'API key not found or already revoked'
+        });
+      }
+
+      console.log(`🚫 API key ${req.params.key_id} revoked by ${describeActor(req.auth)}`);
+      auditService.record({
+        action: 'api_key.revoke',
+        outcome: 'success',
+        req,
+        targets: [{ type: 'api_key', id: req.params.key_id }],
+        changes: auditService.diff({ revoked: false }, { revoked: true })
+      });
+
+      res.json({
+        success: true,
+        data: apiKey.toPublicJSON()
+      });
+    } catch (error) {
+      console.error('❌ Revoke API key error:', error);
+      res.status(500).json({
+        success: false,
+        error: process.env.NODE_ENV === 'production'
+          ? 'Failed to revoke API key'
+          : error.message
+      });
+    }
+  }
+);
+
+/**
+ * SET API KEY ROLES
+ * Replaces the roles of a key; explicit scopes are kept
+ */
+router.put('/api-keys/:key_id/roles',
+  validateKeyId,
+  validateRoles,
+  handleValidation,
+  async (req, res) => {
+    try {
+      const result = await apiKeyService.setKeyRoles(req.params.key_id, req.body.roles);
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          error: 'API key not found or revoked'
+        });
+      }
+
+      auditService.record({
+        action: 'api_key.roles',
+        outcome: 'success',
+        req,
+        targets: [{ type: 'api_key', id: req.params.key_id }],
+        changes: auditService.diff({ roles: result.before }, { roles: result.after })
+      });
+
+      res.json({
+        success: true,
+        data: result.apiKey.toPublicJSON()
+      });
+    } catch (error) {
+      console.error('❌ Set API key roles error:', error);
+      res.status(500).json({
+        success: false,
+        error: process.env.NODE_ENV === 'production'
+          ? 'Failed to update API key roles'
+          : error.message
+      });
+    }
+  }
+);
+
+// ============================================
+// ROLE ROUTES
+// ============================================
+
+/**
+ * LIST ROLES
+ * Role definitions and every Hive account with granted roles
+ */
+router.get('/roles', async (req, res) => {
+  try {
+    const assignments = await roleService.listUserRoles();
+
+    res.json({
+      success: true,
+      data: {
+        roles: ROLES,
+        assignments: assignments.map(assignment => ({
+          username: assignment.username,
+          roles: assignment.roles,
+          granted_by: assignment.granted_by,
+          updated: assignment.updated
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('❌ List roles error:', error);
+    res.status(500).json({
+      success: false,
+      error: process.env.NODE_ENV === 'production'
+        ? 'Failed to list roles'
+        : error.message
+    });
+  }
+});
+
+/**
+ * SET USER ROLES
+ * Replaces the granted roles of a Hive account ("uploader" is always implied)
+ */
+router.put('/roles/:username',
+  param('username')
+    .matches(/^[a-z0-9.-]{3,16}$/)
+    .withMessage('Username must be a valid Hive account name'),
+  validateRoles,
+  handleValidation,
+  async (req, res) => {
+    try {
+      const { username } = req.params;
+      const result = await roleService.setUserRoles(username, req.body.roles, describeActor(req.auth));
+
+      auditService.record({
+        action: 'role.update',
+        outcome: 'success',
+        req,
+        targets: [{ type: 'user', id: username }],
+        changes: auditService.diff({ roles: result.before }, { roles: result.after })
+      });
+
+      res.json({
+        success: true,
+        data: {
+          username,
+          roles: await roleService.getUserRoles(username)
+        }
+      });
+    } catch (error) {
+      console.error('❌ Set roles error:', error);
+      res.status(500).json({
+        success: false,
+        error: process.env.NODE_ENV === 'production'
+          ? 'Failed to update roles'
+          : error.message
+      });
+    }
+  }
+);
+
+// ============================================
+// RATE LIMIT ROUTES
+// ============================================
+const RATE_LIMITERS = ['general', 'auth', 'upload', 'per-user-upload', 'api-key'];
+
+const validateRateLimitFilters = [
+  query('client').optional().isLength({ min: 1, max: 100 }),
+  query('limiter').optional().isIn(RATE_LIMITERS)
+    .withMessage(`Limiter must be one of: ${RATE_LIMITERS.join(', ')}`)
+];
+
+/**
+ * LIST RATE LIMIT COUNTERS
+ * Active counters, busiest first. Filter by ?client= (IP, username or
+ * api-key:<id>), ?limiter= or ?client_type=ip|user|api-key
+ */
+router.get('/rate-limits',
+  validateRateLimitFilters,
+  query('client_type').optional().isIn(['ip', 'user', 'api-key']),
+  query('limit').optional().isInt({ min: 1, max: 200 }),
+  query('offset').optional().isInt({ min: 0 }),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const limit = parseInt(req.query.limit) || 50;
+      const offset = parseInt(req.query.offset) || 0;
+
+      const { counters, total } = await listCounters({
+        client: req.query.client,
+        limiter: req.query.limiter,
+        clientType: req.query.client_type,
+        limit,
+        offset
+      });
+
+      res.json({
+        success: true,
+        data: { counters, total, limit, offset }
+      });
+    } catch (error) {
+      console.error('❌ List rate limits error:', error);
+      res.status(500).json({
+        success: false,
+        error: process.env.NODE_ENV === 'production'
+          ? 'Failed to list rate limits'
+          : error.message
+      });
+    }
+  }
+);
+
+/**
+ * RESET RATE LIMIT COUNTERS
+ * Requires ?client= and/or ?limiter=
+ */
+router.delete('/rate-limits',
+  validateRateLimitFilters,
+  handleValidation,
+  async (req, res) => {
+    try {
+      const { client, limiter } = req.query;
+
+      if (!client && !limiter) {
+        return res.status(400).json({
+          success: false,
+          error: 'Provide a client and/or limiter to reset'
+        });
+      }
+
+      const reset = await resetCounters({ client, limiter });
+
+      console.log(`♻️ Rate limits reset by ${describeActor(req.auth)} (client: ${client || '*'}, limiter: ${limiter || '*'}): ${reset} counter(s)`);
+      auditService.record({
+        action: 'rate_limit.reset',
+        outcome: 'success',
+        req,
+        targets: [{ type: 'rate_limit_client', id: client }, { type: 'rate_limiter', id: limiter }],
+        details: { reset }
+      });
+
+      res.json({
+        success: true,
+        data: { reset }
+      });
+    } catch (error) {
+      console.error('❌ Reset rate limits error:', error);
+      res.status(500).json({
+        success: false,
+        error: process.env.NODE_ENV === 'production'
+          ? 'Failed to reset rate limits'
+          : error.message
+      });
+    }
+  }
+);
+
+// ============================================
+// UPLOAD POLICY ROUTES
+// ============================================
+
+/**
+ * GET UPLOAD POLICY
+ * The active policy and where it was loaded from
+ */
+router.get('/policy', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      file: policyService.filePath,
+      loaded_at: policyService.loadedAt,
+      policy: policyService.getPolicy()
+    }
+  });
+});
+
+/**
+ * RELOAD UPLOAD POLICY
+ * Re-reads the policy file; an invalid file keeps the current policy
+ */
+router.post('/policy/reload', (req, res) => {
+  const result = policyService.load();
+
+  auditService.record({
+    action: 'policy.reload',
+    outcome: result.loaded ? 'success' : 'failure',
+    req,
+    reason: result.error || null,
+    details: { file: policyService.filePath }
+  });
+
+  if (!result.loaded) {
+    return res.status(400).json({
+      success: false,
+      error: `Policy not reloaded: ${result.error}`
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      loaded_at: policyService.loadedAt,
+      rules: policyService.getPolicy().rules.map(rule => rule.name)
+    }
+  });
+});
+
+// ============================================
+// AUDIT LOG ROUTES
+// ============================================
+
+/**
+ * QUERY AUDIT LOG
+ * Newest first. Filter by ?actor= (username or API key ID), ?action=
+ * (exact, or a prefix ending in "*" such as "upload.*"), ?target_type=,
+ * ?target_id=, ?outcome= and an ISO 8601 ?from= / ?to= time range
+ */
+router.get('/audit',
+  query('actor').optional().isLength({ min: 1, max: 100 }),
+  query('action').optional().matches(/^[a-z_.-]+\*?$/)
+    .withMessage('Action must be an action name, optionally ending in *'),
+  query('target_type').optional().isLength({ min: 1, max: 50 }),
+  query('target_id').optional().isLength({ min: 1, max: 200 }),
+  query('outcome').optional().isIn(['success', 'denied', 'failure']),
+  query('from').optional().isISO8601().toDate(),
+  query('to').optional().isISO8601().toDate(),
+  query('limit').optional().isInt({ min: 1, max: 200 }),
+  query('offset').optional().isInt({ min: 0 }),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const limit = parseInt(req.query.limit) || 50;
+      const offset = parseInt(req.query.offset) || 0;
+
+      const { entries, total } = await auditService.query({
+        actor: req.query.actor,
+        action: req.query.action,
+        targetType: req.query.target_type,
+        targetId: req.query.target_id,
+        outcome: req.query.outcome,
+        from: req.query.from,
+        to: req.query.to,
+        limit,
+        offset
+      });
+
+      res.json({
+        success: true,
+        data: { entries, total, limit, offset }
+      });
+    } catch (error) {
+      console.error('❌ Query audit log error:', error);
+      res.status(500).json({
+        success: false,
+        error: process.env.NODE_ENV === 'production'
+          ? 'Failed to query audit log'
+          : error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
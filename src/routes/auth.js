@@ -0,0 +1,203 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+
+const hiveService = require('../services/hive');
+const sessionService = require('../services/session');
+const { requireAuth, authLimiter } = require('../middleware/auth');
+
+const router = express.Router();
+
+// ============================================
+// VALIDATION MIDDLEWARE
+// ============================================
+const validateUsername = body('username')
+  .isString()
+  .matches(/^[a-z0-9.-]{3,16}$/)
+  .withMessage('Username must be a valid Hive account name');
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// ============================================
+// ROUTES
+// ============================================
+
+/**
+ * 1. REQUEST CHALLENGE
+ * Issues a nonce message the user must sign with their posting key
+ */
+router.post('/challenge',
+  authLimiter,
+  validateUsername,
+  handleValidation,
+  async (req, res) => {
+    try {
+      const { username } = req.body;
+      const challenge = await hiveService.issueChallenge(username);
+
+      console.log(`🔑 Issued login challenge for ${username}`);
+
+      res.json({
+        success: true,
+        data: {
+          challenge_id: challenge.challenge_id,
+          message: challenge.message,
+          key_type: 'Posting',
+          expires: challenge.expires
+        }
+      });
+    } catch (error) {
+      console.error('❌ Challenge error:', error);
+      res.status(500).json({
+        success: false,
+        error: process.env.NODE_ENV === 'production'
+          ? 'Failed to issue challenge'
+          : error.message
+      });
+    }
+  }
+);
+
+/**
+ * 2. VERIFY CHALLENGE
+ * Checks the signature against the account's posting public key
+ * and issues a session token + refresh token
+ */
+router.post('/verify',
+  authLimiter,
+  validateUsername,
+  body('challenge_id')
+    .isHexadecimal()
+    .isLength({ min: 32, max: 32 })
+    .withMessage('Valid challenge_id required'),
+  body('signature')
+    .isHexadecimal()
+    .isLength({ min: 130, max: 130 })
+    .withMessage('Signature must be a 65-byte hex string'),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const { username, challenge_id, signature } = req.body;
+      const result = await hiveService.verifyChallenge(username, challenge_id, signature);
+
+      if (!result.valid) {
+        console.warn(`🚫 Hive login failed for ${username}: ${result.reason}`);
+        return res.status(401).json({
+          success: false,
+          error: result.reason
+        });
+      }
+
+      const session = await sessionService.createSession(username, {
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      res.json({
+        success: true,
+        data: {
+          username,
+          token: session.token,
+          refresh_token: session.refresh_token,
+          token_type: 'Bearer',
+          expires_in: session.expires_in
+        }
+      });
+    } catch (error) {
+      console.error('❌ Verify error:', error);
+      res.status(500).json({
+        success: false,
+        error: process.env.NODE_ENV === 'production'
+          ? 'Failed to verify signature'
+          : error.message
+      });
+    }
+  }
+);
+
+/**
+ * 3. REFRESH SESSION
+ * Exchanges a refresh token for a new token pair
+ */
+router.post('/refresh',
+  authLimiter,
+  body('refresh_token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Valid refresh_token required'),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const session = await sessionService.refreshSession(req.body.refresh_token);
+
+      if (!session) {
+        return res.status(401).json({
+          success: false,
+          error: 'Refresh token invalid, revoked or expired'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          token: session.token,
+          refresh_token: session.refresh_token,
+          token_type: 'Bearer',
+          expires_in: session.expires_in
+        }
+      });
+    } catch (error) {
+      console.error('❌ Refresh error:', error);
+      res.status(500).json({
+        success: false,
+        error: process.env.NODE_ENV === 'production'
+          ? 'Failed to refresh session'
+          : error.message
+      });
+    }
+  }
+);
+
+/**
+ * 4. REVOKE SESSION
+ * Revokes the current session, or every session of the user with { all: true }
+ */
+router.post('/revoke', requireAuth, async (req, res) => {
+  try {
+    if (req.auth.authType !== 'session') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only session tokens can be revoked'
+      });
+    }
+
+    const { username, sessionId } = req.auth;
+    const revoked = req.body && req.body.all === true
+      ? await sessionService.revokeAllSessions(username)
+      : (await sessionService.revokeSession(sessionId, username) ? 1 : 0);
+
+    res.json({
+      success: true,
+      data: { revoked }
+    });
+  } catch (error) {
+    console.error('❌ Revoke error:', error);
+    res.status(500).json({
+      success: false,
+      error: process.env.NODE_ENV === 'production'
+        ? 'Failed to revoke session'
+        : error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,212 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+
+const creatorService = require('../services/creator');
+const quotaService = require('../services/quota');
+const policyService = require('../services/policy');
+const auditService = require('../services/audit');
+const { requireAuth, requireScope } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Creator moderation is open to moderators and superadmins
+router.use(requireAuth, requireScope('moderate'));
+
+// ============================================
+// VALIDATION MIDDLEWARE
+// ============================================
+const validateUsername = param('username')
+  .matches(/^[a-z0-9.-]{3,16}$/)
+  .withMessage('Username must be a valid Hive account name');
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const parseBooleanQuery = (value) => {
+  if (value === undefined) return undefined;
+  return value === 'true';
+};
+
+// ============================================
+// ROUTES
+// ============================================
+
+/**
+ * SEARCH CREATORS
+ * ?q= username prefix, ?banned=, ?canUpload=, ?verified=, ?limit=, ?offset=
+ */
+router.get('/',
+  query('q').optional().matches(/^[a-z0-9.-]{1,16}$/),
+  query('banned').optional().isBoolean(),
+  query('canUpload').optional().isBoolean(),
+  query('verified').optional().isBoolean(),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('offset').optional().isInt({ min: 0 }),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const limit = parseInt(req.query.limit) || 20;
+      const offset = parseInt(req.query.offset) || 0;
+
+      const { creators, total } = await creatorService.search({
+        q: req.query.q,
+        banned: parseBooleanQuery(req.query.banned),
+        canUpload: parseBooleanQuery(req.query.canUpload),
+        verified: parseBooleanQuery(req.query.verified),
+        limit,
+        offset
+      });
+
+      res.json({
+        success: true,
+        data: { creators, total, limit, offset }
+      });
+    } catch (error) {
+      console.error('❌ Search creators error:', error);
+      res.status(500).json({
+        success: false,
+        error: process.env.NODE_ENV === 'production'
+          ? 'Failed to search creators'
+          : error.message
+      });
+    }
+  }
+);
+
+/**
+ * VIEW CREATOR
+ * Record plus current policy tier and quota usage
+ */
+router.get('/:username',
+  validateUsername,
+  handleValidation,
+  async (req, res) => {
+    try {
+      const creator = await creatorService.findByUsername(req.params.username);
+
+      if (!creator) {
+        return res.status(404).json({
+          success: false,
+          error: 'Content creator not found'
+        });
+      }
+
+      const policy = policyService.evaluate(creator);
+      const quota = await quotaService.getQuotaStatus(creator.username, creator, policy);
+
+      res.json({
+        success: true,
+        data: {
+          creator,
+          policy: policy.rule,
+          quota
+        }
+      });
+    } catch (error) {
+      console.error('❌ View creator error:', error);
+      res.status(500).json({
+        success: false,
+        error: process.env.NODE_ENV === 'production'
+          ? 'Failed to load creator'
+          : error.message
+      });
+    }
+  }
+);
+
+/**
+ * UPDATE CREATOR
+ * Ban/unban, toggle canUpload, set limit or verified. A reason is required
+ * and recorded in the audit log. With cancel_in_flight, banning (or revoking
+ * canUpload) also removes pending uploads and cancels queued jobs.
+ */
+router.patch('/:username',
+  validateUsername,
+  body('reason')
+    .isString()
+    .isLength({ min: 3, max: 500 })
+    .trim()
+    .withMessage('A reason (3-500 characters) is required'),
+  body('banned').optional().isBoolean().toBoolean(),
+  body('canUpload').optional().isBoolean().toBoolean(),
+  body('verified').optional().isBoolean().toBoolean(),
+  body('limit').optional().isInt({ min: 0 }).toInt(),
+  body('cancel_in_flight').optional().isBoolean().toBoolean(),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const { username } = req.params;
+      const { reason, cancel_in_flight: cancelInFlight = false } = req.body;
+
+      const changes = {};
+      creatorService.editableFields.forEach(field => {
+        if (req.body[field] !== undefined) changes[field] = req.body[field];
+      });
+
+      if (Object.keys(changes).length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Provide at least one of: ${creatorService.editableFields.join(', ')}`
+        });
+      }
+
+      const result = await creatorService.update(username, changes);
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          error: 'Content creator not found'
+        });
+      }
+
+      // Only cancel work when the change actually blocks uploads
+      const blocked = result.creator.banned || !result.creator.canUpload;
+      const cancelled = cancelInFlight && blocked
+        ? await creatorService.cancelInFlight(username)
+        : null;
+
+      auditService.record({
+        action: 'creator.update',
+        outcome: 'success',
+        req,
+        reason,
+        targets: [
+          { type: 'creator', id: username },
+          ...(cancelled ? cancelled.uploads.upload_ids.map(id => ({ type: 'upload', id })) : []),
+          ...(cancelled ? cancelled.ingests.map(id => ({ type: 'video', id })) : []),
+          ...(cancelled ? cancelled.jobs.map(id => ({ type: 'job', id })) : [])
+        ],
+        changes: { before: result.before, after: result.after },
+        details: cancelled ? { cancelled } : null
+      });
+
+      res.json({
+        success: true,
+        data: {
+          creator: result.creator,
+          changed: Object.keys(result.after),
+          cancelled
+        }
+      });
+    } catch (error) {
+      console.error('❌ Update creator error:', error);
+      res.status(500).json({
+        success: false,
+        error: process.env.NODE_ENV === 'production'
+          ? 'Failed to update creator'
+          : error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const storageService = require('../services/storage');
+const auditService = require('../services/audit');
+const { requireAuth, requireScope } = require('../middleware/auth');
 const winston = require('winston');
 
 const logger = winston.createLogger({
@@ -14,52 +16,9 @@ const logger = winston.createLogger({
   ]
 });
 
-// Basic auth middleware for storage admin
-const requireStorageAuth = (req, res, next) => {
-  const authHeader = req.headers.authorization;
-  
-  if (!authHeader || !authHeader.startsWith('Basic ')) {
-    res.setHeader('WWW-Authenticate', 'Basic realm="IPFS Storage Management"');
-    return res.status(401).json({
-      success: false,
-      error: 'Authentication required'
-    });
-  }
-
-  try {
-    const base64Credentials = authHeader.split(' ')[1];
-    const credentials = Buffer.from(base64Credentials, 'base64').toString('utf-8');
-    const [username, password] = credentials.split(':');
-
-    const validUsername = process.env.IPFS_STORAGE_ADMIN_USERNAME || 'admin';
-    const validPassword = process.env.IPFS_STORAGE_ADMIN_PASSWORD;
-
-    if (!validPassword) {
-      logger.error('IPFS_STORAGE_ADMIN_PASSWORD not configured');
-      return res.status(500).json({
-        success: false,
-        error: 'Storage authentication not configured'
-      });
-    }
-
-    if (username === validUsername && password === validPassword) {
-      next();
-    } else {
-      res.setHeader('WWW-Authenticate', 'Basic realm="IPFS Storage Management"');
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid credentials'
-      });
-    }
-  } catch (error) {
-    logger.error('Auth error:', error);
-    res.setHeader('WWW-Authenticate', 'Basic realm="IPFS Storage Management"');
-    return res.status(401).json({
-      success: false,
-      error: 'Invalid authentication format'
-    });
-  }
-};
+// Storage management requires the "storage" scope
+// (storage-admin or superadmin role, see src/config/roles.js)
+const requireStorageAuth = [requireAuth, requireScope('storage')];
 
 /**
  * GET /api/storage/stats
@@ -122,7 +81,19 @@ router.post('/unpin', requireStorageAuth, async (req, res) => {
 
     logger.info(`Unpinning ${cids.length} files...`);
     const results = await storageService.unpinFiles(cids, force);
-    
+
+    auditService.record({
+      action: 'storage.unpin',
+      outcome: results.success.length > 0 ? 'success' : 'failure',
+      req,
+      targets: cids.map(cid => ({ type: 'cid', id: cid })),
+      changes: auditService.diff(
+        { pinned: results.success },
+        { pinned: [] }
+      ),
+      details: { force, failed: results.failed }
+    });
+
     res.json({
       success: true,
       data: results,
@@ -170,7 +141,15 @@ router.post('/gc', requireStorageAuth, async (req, res) => {
     logger.info('Garbage collection requested by admin');
     
     const result = await storageService.runGarbageCollection();
-    
+
+    auditService.record({
+      action: 'storage.gc',
+      outcome: 'success',
+      req,
+      changes: auditService.diff({ repoSize: result.beforeSize }, { repoSize: result.afterSize }),
+      details: { spaceFreed: result.spaceFreed, duration: result.duration }
+    });
+
     res.json({
       success: true,
       data: result,
@@ -0,0 +1,345 @@
+const express = require('express');
+
+const tusService = require('../services/tus');
+const uploadCompletionService = require('../services/upload-completion');
+const auditService = require('../services/audit');
+const { requireAuth, requireScope } = require('../middleware/auth');
+const { canActAs, denyOwnership } = require('../middleware/ownership');
+
+const router = express.Router();
+
+// ============================================
+// EMBEDDED TUS 1.0 SERVER
+// ============================================
+// Mounted at /files. Supports the core protocol plus the creation,
+// termination, checksum and expiration extensions. Finished uploads go
+// straight to services/upload-completion.js (no tusd, no post-finish hook).
+//
+// Authorization happens once, at creation: the caller must own the
+// TempUpload (upload_id) or Video (video_id) named in Upload-Metadata.
+// The random upload URL returned in Location is the capability for the
+// HEAD/PATCH/DELETE requests that follow.
+
+const getVideoModel = () => {
+  return require('../models/Video')();
+};
+
+const getTempUploadModel = () => {
+  return require('../models/TempUpload')();
+};
+
+/**
+ * Send an error (no body for HEAD)
+ */
+const sendError = (req, res, error) => {
+  const statusCode = error.statusCode || 500;
+
+  if (statusCode === 500) {
+    console.error(`❌ TUS ${req.method} error:`, error);
+  }
+
+  if (req.method === 'HEAD') {
+    return res.status(statusCode).end();
+  }
+
+  res.status(statusCode).json({
+    success: false,
+    error: statusCode === 500 && process.env.NODE_ENV === 'production'
+      ? 'Upload failed'
+      : error.message,
+    ...(statusCode !== 500 && typeof error.code === 'string' && { code: error.code }),
+    ...(statusCode !== 500 && error.details && { data: error.details })
+  });
+};
+
+/**
+ * Offset/expiry headers shared by HEAD, PATCH and POST responses
+ */
+const setUploadHeaders = (res, info) => {
+  res.set('Upload-Offset', String(info.Offset));
+  if (info.Offset < info.Size) {
+    res.set('Upload-Expires', new Date(info.ExpiresAt).toUTCString());
+  }
+};
+
+// tus-js-client sends "undefined" for metadata keys the caller left empty
+const metadataValue = (metadata, key) => {
+  const value = metadata[key];
+  return value && value !== 'undefined' ? value : null;
+};
+
+// ============================================
+// PROTOCOL MIDDLEWARE
+// ============================================
+router.use((req, res, next) => {
+  res.set('Tus-Resumable', tusService.version);
+
+  // For clients behind proxies that only allow GET/POST
+  const override = req.get('X-HTTP-Method-Override');
+  if (override) {
+    req.method = override.toUpperCase();
+  }
+
+  if (req.method !== 'OPTIONS' && req.get('Tus-Resumable') !== tusService.version) {
+    res.set('Tus-Version', tusService.version);
+    return res.status(412).json({
+      success: false,
+      error: `Unsupported Tus-Resumable version (supported: ${tusService.version})`
+    });
+  }
+
+  next();
+});
+
+/**
+ * Parse Upload-Length and Upload-Metadata of a creation request
+ * Stores the results in req.tusUpload.
+ */
+const parseCreation = (req, res, next) => {
+  try {
+    const length = req.get('Upload-Length');
+
+    if (req.get('Upload-Defer-Length') || !/^\d+$/.test(length || '')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Upload-Length header is required'
+      });
+    }
+
+    req.tusUpload = {
+      size: parseInt(length, 10),
+      metadata: tusService.parseMetadata(req.get('Upload-Metadata'))
+    };
+    next();
+  } catch (error) {
+    sendError(req, res, error);
+  }
+};
+
+/**
+ * Verify the caller owns the upload target named in Upload-Metadata
+ * and that it is still waiting for its file. Metadata owner/permlink are
+ * overwritten with the stored values before they reach completion.
+ */
+const authorizeUploadTarget = async (req, res, next) => {
+  try {
+    const { size, metadata } = req.tusUpload;
+    const uploadId = metadataValue(metadata, 'upload_id');
+    const videoId = metadataValue(metadata, 'video_id');
+
+    if (uploadId) {
+      const TempUpload = getTempUploadModel();
+      const tempUpload = await TempUpload.findOne({ upload_id: uploadId });
+
+      if (!tempUpload) {
+        return res.status(404).json({
+          success: false,
+          error: 'Upload not found or expired'
+        });
+      }
+
+      if (!canActAs(req.auth, tempUpload.owner)) {
+        return denyOwnership(req, res, tempUpload.owner, [{ type: 'upload', id: uploadId }]);
+      }
+
+      if (tempUpload.tus_completed || tempUpload.finalized) {
+        return res.status(409).json({
+          success: false,
+          error: 'File already uploaded for this upload_id'
+        });
+      }
+
+      if (tempUpload.isExpired()) {
+        return res.status(410).json({
+          success: false,
+          error: 'Upload expired'
+        });
+      }
+
+      if (tempUpload.size !== size) {
+        return res.status(400).json({
+          success: false,
+          error: `Upload-Length does not match the size given at /init (${tempUpload.size})`
+        });
+      }
+
+      delete metadata.video_id;
+      metadata.upload_id = uploadId;
+      metadata.owner = tempUpload.owner;
+    } else if (videoId) {
+      const Video = getVideoModel();
+      const video = await Video.findById(videoId).catch(error => {
+        if (error.name === 'CastError') return null;
+        throw error;
+      });
+
+      if (!video) {
+        return res.status(404).json({
+          success: false,
+          error: 'Video not found'
+        });
+      }
+
+      if (!canActAs(req.auth, video.owner)) {
+        return denyOwnership(req, res, video.owner, [{ type: 'video', id: videoId }]);
+      }
+
+      if (video.filename && video.filename.startsWith('ipfs://')) {
+        return res.status(409).json({
+          success: false,
+          error: 'File already uploaded for this video'
+        });
+      }
+
+      if (video.size && video.size !== size) {
+        return res.status(400).json({
+          success: false,
+          error: `Upload-Length does not match the size given at /prepare (${video.size})`
+        });
+      }
+
+      delete metadata.upload_id;
+      metadata.video_id = videoId;
+      metadata.owner = video.owner;
+      metadata.permlink = video.permlink;
+    } else {
+      return res.status(400).json({
+        success: false,
+        error: 'Upload-Metadata must include upload_id or video_id'
+      });
+    }
+
+    next();
+  } catch (error) {
+    sendError(req, res, error);
+  }
+};
+
+// ============================================
+// ROUTES
+// ============================================
+
+/**
+ * SERVER CAPABILITIES
+ */
+router.options('/', (req, res) => {
+  res.set({
+    'Tus-Version': tusService.version,
+    'Tus-Extension': tusService.extensions.join(','),
+    'Tus-Max-Size': String(tusService.maxSize),
+    'Tus-Checksum-Algorithm': tusService.checksumAlgorithms.join(',')
+  });
+  res.status(204).end();
+});
+
+/**
+ * CREATE UPLOAD (creation + expiration)
+ */
+router.post('/',
+  requireAuth,
+  requireScope('upload'),
+  parseCreation,
+  authorizeUploadTarget,
+  async (req, res) => {
+    try {
+      const { size, metadata } = req.tusUpload;
+      const info = await tusService.createUpload({
+        size,
+        metadata,
+        owner: metadata.owner
+      });
+
+      auditService.record({
+        action: 'upload.tus_create',
+        outcome: 'success',
+        req,
+        targets: [
+          { type: 'tus_upload', id: info.ID },
+          { type: 'upload', id: metadata.upload_id },
+          { type: 'video', id: metadata.video_id }
+        ],
+        changes: auditService.diff(null, { owner: metadata.owner, size })
+      });
+
+      setUploadHeaders(res, info);
+      res.set('Location', `${req.protocol}://${req.get('host')}${req.baseUrl}/${info.ID}`);
+      res.status(201).end();
+    } catch (error) {
+      sendError(req, res, error);
+    }
+  }
+);
+
+/**
+ * UPLOAD OFFSET
+ */
+router.head('/:id', async (req, res) => {
+  try {
+    const info = await tusService.getUpload(req.params.id);
+
+    setUploadHeaders(res, info);
+    res.set({
+      'Upload-Length': String(info.Size),
+      'Cache-Control': 'no-store'
+    });
+    if (Object.keys(info.MetaData).length > 0) {
+      res.set('Upload-Metadata', tusService.formatMetadata(info.MetaData));
+    }
+    res.status(200).end();
+  } catch (error) {
+    sendError(req, res, error);
+  }
+});
+
+/**
+ * APPEND DATA (core + checksum)
+ * The request that completes the upload runs the completion logic before
+ * responding; if that fails, an empty PATCH at the final offset retries it.
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+      return res.status(415).json({
+        success: false,
+        error: 'Content-Type must be application/offset+octet-stream'
+      });
+    }
+
+    const offset = req.get('Upload-Offset');
+    if (!/^\d+$/.test(offset || '')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Upload-Offset header is required'
+      });
+    }
+
+    const checksum = tusService.parseChecksum(req.get('Upload-Checksum'));
+    let info = await tusService.writeChunk(req.params.id, parseInt(offset, 10), req, checksum);
+
+    if (info.Offset === info.Size && !info.Completed) {
+      info = await tusService.finishUpload(info.ID, (upload) => uploadCompletionService.complete({
+        filePath: upload.Storage.Path,
+        metadata: upload.MetaData
+      }));
+    }
+
+    setUploadHeaders(res, info);
+    res.status(204).end();
+  } catch (error) {
+    sendError(req, res, error);
+  }
+});
+
+/**
+ * TERMINATE UPLOAD (termination)
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    await tusService.removeUpload(req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    sendError(req, res, error);
+  }
+});
+
+module.exports = router;
@@ -3,12 +3,30 @@ const multer = require('multer');
 const { body, validationResult } = require('express-validator');
 const fs = require('fs');
 const path = require('path');
-const crypto = require('crypto');
 
 const ipfsService = require('../services/ipfs');
 const jobService = require('../services/job');
 const cleanupService = require('../services/cleanup');
-const { requireAuth, uploadLimiter, authLimiter } = require('../middleware/auth');
+const quotaService = require('../services/quota');
+const policyService = require('../services/policy');
+const auditService = require('../services/audit');
+const uploadCompletionService = require('../services/upload-completion');
+const mediaService = require('../services/media');
+const checksumService = require('../services/checksum');
+const thumbnailService = require('../services/thumbnail');
+const permlinkService = require('../services/permlink');
+const publishSchedulerService = require('../services/publish-scheduler');
+const ingestQueueService = require('../services/ingest-queue');
+const tusService = require('../services/tus');
+const { logRejection } = require('../services/security-log');
+const { requireAuth, requireScope, uploadLimiter, authLimiter } = require('../middleware/auth');
+const { verifyHookSignature } = require('../middleware/hook-signature');
+const {
+  bindOwner,
+  bindQueryOwner,
+  requireVideoOwnership,
+  requireTempUploadOwnership
+} = require('../middleware/ownership');
 
 const router = express.Router();
 
@@ -19,17 +37,31 @@ const getContentCreatorModel = () => {
   return require('../models/ContentCreator')();
 };
 
+/**
+ * Remove a thumbnail multer already stored for a rejected request
+ */
+const discardUploadedFile = (req) => {
+  if (req.file && fs.existsSync(req.file.path)) {
+    fs.unlinkSync(req.file.path);
+  }
+};
+
 /**
  * Middleware: Check if user can upload
  * - Creates content creator if doesn't exist
  * - Blocks banned users
  * - Blocks users with canUpload: false
+ * - Applies the upload policy for the creator's tier (services/policy.js)
+ * - Blocks users over their upload quota (services/quota.js)
+ * Must run after body parsing (after multer on multipart routes): the policy
+ * and quota checks need size and duration from the body.
  */
 const checkContentCreator = async (req, res, next) => {
   try {
     const { owner } = req.body;
     
     if (!owner) {
+      discardUploadedFile(req);
       return res.status(400).json({
         success: false,
         error: 'Username (owner) is required'
@@ -41,16 +73,68 @@ const checkContentCreator = async (req, res, next) => {
 
     if (!permission.canUpload) {
       console.warn(`🚫 Upload blocked for ${owner}: ${permission.reason}`);
+      auditService.denied(req, 'upload.permission', permission.reason, null, [{ type: 'user', id: owner }]);
+      discardUploadedFile(req);
       return res.status(403).json({
         success: false,
         error: permission.reason
       });
     }
 
+    const uploadRequest = {
+      size: req.body.size,
+      duration: req.body.duration
+    };
+
+    // Apply the policy tier matching the creator's attributes
+    const policy = policyService.evaluate(permission.creator);
+    const policyCheck = policyService.checkUpload(policy, uploadRequest);
+
+    if (!policyCheck.allowed) {
+      console.warn(`🚫 Upload blocked for ${owner}: ${policyCheck.reason} (policy: ${policy.rule || 'default'})`);
+      auditService.denied(req, 'upload.policy', policyCheck.reason, {
+        policy: policy.rule,
+        violations: policyCheck.violations
+      }, [{ type: 'user', id: owner }]);
+      discardUploadedFile(req);
+      return res.status(403).json({
+        success: false,
+        error: policyCheck.reason,
+        code: 'POLICY_VIOLATION',
+        data: {
+          violations: policyCheck.violations,
+          policy: policy.rule,
+          max_file_size: policy.max_file_size || null,
+          max_duration: policy.max_duration || null
+        }
+      });
+    }
+
+    // Enforce daily/monthly quotas
+    const quotaCheck = await quotaService.checkQuota(owner, permission.creator, uploadRequest, policy);
+
+    if (!quotaCheck.allowed) {
+      console.warn(`🚫 Upload blocked for ${owner}: quota exceeded (${quotaCheck.exceeded.join(', ')})`);
+      auditService.denied(req, 'upload.quota', 'Upload quota exceeded', {
+        exceeded: quotaCheck.exceeded
+      }, [{ type: 'user', id: owner }]);
+      discardUploadedFile(req);
+      return res.status(429).json({
+        success: false,
+        error: `Upload quota exceeded: ${quotaCheck.exceeded.join(', ')}`,
+        code: 'QUOTA_EXCEEDED',
+        data: {
+          exceeded: quotaCheck.exceeded,
+          ...quotaCheck.quota
+        }
+      });
+    }
+
     console.log(`✅ Upload permission verified for ${owner}`);
     next();
   } catch (error) {
     console.error('❌ Content creator check error:', error);
+    discardUploadedFile(req);
     res.status(500).json({
       success: false,
       error: 'Failed to verify upload permission'
@@ -85,34 +169,59 @@ const upload = multer({
 // ============================================
 // VALIDATION MIDDLEWARE
 // ============================================
-const validatePrepareUpload = [
-  body('owner')
-    .isLength({ min: 3, max: 50 })
-    .matches(/^[a-z0-9.-]+$/)
-    .withMessage('Owner must be 3-50 characters, lowercase alphanumeric with dots and hyphens'),
-  body('title')
+// Multipart bodies carry booleans as strings
+const isDraftRequest = (body) => body.draft === true || body.draft === 'true';
+
+// Drafts may leave title and description for later; given values are still validated
+const requiredUnlessDraft = (value, { req }) => (value !== undefined && value !== '') || !isDraftRequest(req.body);
+
+// Future publish time (services/publish-scheduler.js); drafts get theirs when published
+const validatePublishAt = () => body('publish_at')
+  .optional({ values: 'falsy' })
+  .custom((value, { req }) => {
+    if (isDraftRequest(req.body)) {
+      throw new Error('Drafts are scheduled when they are published (POST /drafts/:video_id/publish)');
+    }
+    publishSchedulerService.parsePublishAt(value);
+    return true;
+  });
+
+// publish_at for the schedule and draft publish routes
+const validateScheduleBody = (required) => [
+  (required ? body('publish_at').exists({ values: 'falsy' }).withMessage('publish_at is required') : body('publish_at').optional({ values: 'falsy' }))
+    .bail()
+    .custom(value => {
+      publishSchedulerService.parsePublishAt(value);
+      return true;
+    }),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+    next();
+  }
+];
+
+// Rules for the editable video metadata, shared by /prepare (required or
+// optional per field) and PATCH /video/:id (all optional)
+const metadataRules = {
+  title: chain => chain
     .isLength({ min: 5, max: 250 })
     .trim()
     .withMessage('Title must be 5-250 characters'),
-  body('description')
+  description: chain => chain
     .isLength({ min: 1, max: 50000 })
     .trim()
     .withMessage('Description must be 1-50000 characters'),
-  body('tags')
-    .optional()
+  tags: chain => chain
     .isArray({ max: 25 })
     .withMessage('Tags must be an array with maximum 25 items'),
-  body('duration')
-    .isFloat({ min: 0.1, max: 21600 })
-    .withMessage('Duration must be between 0.1 and 21600 seconds (6 hours)'),
-  body('size')
-    .isInt({ min: 1000, max: 8000000000 })
-    .withMessage('Size must be between 1000 bytes and 8GB'),
-  body('originalFilename')
-    .isLength({ min: 1, max: 255 })
-    .withMessage('Original filename is required'),
-  body('community')
-    .optional()
+  community: chain => chain
     .custom((value) => {
       // Accept string directly
       if (typeof value === 'string') {
@@ -134,43 +243,76 @@ const validatePrepareUpload = [
       throw new Error('Community must be a string or object with name property');
     })
     .withMessage('Invalid community format'),
-  
-  body('hive')
-    .optional()
+  hive: chain => chain
     .matches(/^hive-\d+$/)
     .withMessage('Hive must be in format "hive-123456"'),
-  body('beneficiaries')
-    .optional()
-    .isString()
-    .withMessage('Beneficiaries must be a JSON string'),
-  body('category')
-    .optional()
+  category: chain => chain
     .isIn(['general', 'technology', 'gaming', 'music', 'sports', 'entertainment', 'education', 'news'])
     .withMessage('Invalid category'),
-  body('language')
-    .optional()
+  language: chain => chain
     .isLength({ min: 2, max: 5 })
     .withMessage('Language must be 2-5 characters (e.g., "en", "es")'),
-  body('hive')
+  declineRewards: chain => chain
+    .isBoolean()
+    .toBoolean()
+    .withMessage('declineRewards must be boolean'),
+  rewardPowerup: chain => chain
+    .isBoolean()
+    .toBoolean()
+    .withMessage('rewardPowerup must be boolean'),
+  votePercent: chain => chain
+    .isFloat({ min: 0, max: 1 })
+    .toFloat()
+    .withMessage('votePercent must be between 0 and 1')
+};
+
+const validatePrepareUpload = [
+  body('owner')
+    .isLength({ min: 3, max: 50 })
+    .matches(/^[a-z0-9.-]+$/)
+    .withMessage('Owner must be 3-50 characters, lowercase alphanumeric with dots and hyphens'),
+  metadataRules.title(body('title').if(requiredUnlessDraft)),
+  metadataRules.description(body('description').if(requiredUnlessDraft)),
+  body('draft')
     .optional()
-    .matches(/^hive-\d+$/)
-    .withMessage('Hive must be in format "hive-123456"'),
+    .isBoolean()
+    .toBoolean()
+    .withMessage('draft must be boolean'),
+  validatePublishAt(),
+  metadataRules.tags(body('tags').optional()),
+  body('duration')
+    .isFloat({ min: 0.1, max: 21600 })
+    .withMessage('Duration must be between 0.1 and 21600 seconds (6 hours)'),
+  body('size')
+    .isInt({ min: 1000, max: 8000000000 })
+    .withMessage('Size must be between 1000 bytes and 8GB'),
+  body('originalFilename')
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Original filename is required'),
+  body('sha256')
+    .optional({ values: 'falsy' })
+    .matches(/^[a-fA-F0-9]{64}$/)
+    .withMessage('sha256 must be a hex-encoded SHA-256 digest'),
+  metadataRules.community(body('community').optional()),
+  metadataRules.hive(body('hive').optional()),
+  body('beneficiaries')
+    .optional()
+    .isString()
+    .withMessage('Beneficiaries must be a JSON string'),
+  metadataRules.category(body('category').optional()),
+  metadataRules.language(body('language').optional()),
   body('app')
     .optional()
     .isLength({ max: 50 })
     .withMessage('App name must be max 50 characters'),
-  body('declineRewards')
-    .optional()
-    .isBoolean()
-    .withMessage('declineRewards must be boolean'),
-  body('rewardPowerup')
+  metadataRules.declineRewards(body('declineRewards').optional()),
+  metadataRules.rewardPowerup(body('rewardPowerup').optional()),
+  metadataRules.votePercent(body('votePercent').optional()),
+  body('readable_permlink')
     .optional()
     .isBoolean()
-    .withMessage('rewardPowerup must be boolean'),
-  body('votePercent')
-    .optional()
-    .isFloat({ min: 0, max: 1 })
-    .withMessage('votePercent must be between 0 and 1'),
+    .toBoolean()
+    .withMessage('readable_permlink must be boolean'),
   (req, res, next) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -187,16 +329,25 @@ const validatePrepareUpload = [
 // ============================================
 // HELPER FUNCTIONS
 // ============================================
-const generatePermlink = () => {
-  return Math.random().toString(36).substring(2, 10).toLowerCase();
-};
-
 const getVideoModel = () => {
   return require('../models/Video')();
 };
 
-const getJobModel = () => {
-  return require('../models/Job')();
+/**
+ * Normalize and pin a thumbnail from a multer file or a base64 data URI.
+ * The multer temp file is always removed, even when the image is rejected.
+ * @returns {Promise<{hash: string, uri: string, small_uri: string}|null>} null if neither was sent
+ */
+const pinThumbnail = async (file, base64) => {
+  if (!file && !base64) return null;
+
+  try {
+    return await thumbnailService.pin(file ? { filePath: file.path } : { base64 });
+  } finally {
+    if (file && fs.existsSync(file.path)) {
+      fs.unlinkSync(file.path);
+    }
+  }
 };
 
 // ============================================
@@ -211,8 +362,10 @@ const getJobModel = () => {
  */
 router.post('/init',
   authLimiter,
-  uploadLimiter,
   requireAuth,
+  uploadLimiter,        // Per user: after requireAuth
+  requireScope('upload'),
+  bindOwner,
   checkContentCreator,
   [
     body('owner')
@@ -227,7 +380,11 @@ router.post('/init',
       .withMessage('File size must be at least 1000 bytes'),
     body('duration')
       .isFloat({ min: 0.1 })
-      .withMessage('Duration must be at least 0.1 seconds')
+      .withMessage('Duration must be at least 0.1 seconds'),
+    body('sha256')
+      .optional({ values: 'falsy' })
+      .matches(/^[a-fA-F0-9]{64}$/)
+      .withMessage('sha256 must be a hex-encoded SHA-256 digest')
   ],
   async (req, res) => {
     try {
@@ -240,6 +397,7 @@ router.post('/init',
       }
 
       const { owner, originalFilename, size, duration } = req.body;
+      const claimedSha256 = checksumService.normalize(req.body.sha256);
 
       // Generate unique upload ID
       const crypto = require('crypto');
@@ -254,11 +412,20 @@ router.post('/init',
         owner,
         originalFilename,
         size,
-        duration
+        duration,
+        claimed_sha256: claimedSha256
+      });
+
+      auditService.record({
+        action: 'upload.init',
+        outcome: 'success',
+        req,
+        targets: [{ type: 'upload', id: upload_id }, { type: 'user', id: owner }],
+        changes: auditService.diff(null, { owner, originalFilename, size, duration, sha256: claimedSha256 })
       });
 
-      // Return TUS endpoint for immediate upload
-      const tusEndpoint = process.env.TUS_ENDPOINT || 'https://video.3speak.tv/files';
+      // Return TUS endpoint for immediate upload (embedded server unless overridden)
+      const tusEndpoint = process.env.TUS_ENDPOINT || `${req.protocol}://${req.get('host')}/files`;
 
       res.json({
         success: true,
@@ -289,10 +456,13 @@ router.post('/init',
  */
 router.post('/prepare', 
   authLimiter, 
-  uploadLimiter, 
   requireAuth, 
-  checkContentCreator,  // New: Verify user can upload
+  uploadLimiter,        // Per user: after requireAuth
+  requireScope('upload'),
+  bindOwner,            // Owner must match the authenticated identity
   upload.single('thumbnail'), 
+  bindOwner,            // Re-bind after multer replaces req.body
+  checkContentCreator,  // Verify user can upload (after multer: needs size/duration)
   validatePrepareUpload, 
   async (req, res) => {
     try {
@@ -313,7 +483,11 @@ router.post('/prepare',
         declineRewards = false,
         rewardPowerup = false,
         votePercent = 1,
-        thumbnail_base64
+        thumbnail_base64,
+        sha256,
+        readable_permlink = false,
+        draft = false,
+        publish_at
       } = req.body;
 
       console.log(`📤 Preparing upload for ${owner}: "${title}"`);
@@ -330,21 +504,12 @@ router.post('/prepare',
         }
       }
 
-      let thumbnailCid = null;
-
-      // Handle thumbnail upload (file or base64)
-      if (req.file) {
-        console.log(`🖼️ Uploading thumbnail file: ${req.file.originalname}`);
-        const uploadResult = await ipfsService.uploadThumbnail(req.file.path);
-        thumbnailCid = uploadResult.hash;
-        
-        // Clean up temp file
-        fs.unlinkSync(req.file.path);
-      } else if (thumbnail_base64) {
-        console.log('🖼️ Uploading base64 thumbnail');
-        const uploadResult = await ipfsService.uploadThumbnailBase64(thumbnail_base64);
-        thumbnailCid = uploadResult.hash;
+      // Handle thumbnail upload (file or base64) - validated and re-encoded before pinning
+      if (req.file || thumbnail_base64) {
+        console.log(`🖼️ Uploading thumbnail ${req.file ? `file: ${req.file.originalname}` : '(base64)'}`);
       }
+      const thumbnailResult = await pinThumbnail(req.file, thumbnail_base64);
+      const thumbnailCid = thumbnailResult ? thumbnailResult.hash : null;
 
       // Create video document
       const Video = getVideoModel();
@@ -366,20 +531,21 @@ router.post('/prepare',
         thumbnailValue = '';
       }
 
-      const video = new Video({
+      const video = await permlinkService.create(owner, permlink => Video.create({
         owner,
-        permlink: generatePermlink(),
+        permlink,
         title,
         description,
         tags: Array.isArray(tags) ? tags.join(',') : tags,
         tags_v2: Array.isArray(tags) ? tags : (tags ? tags.split(',') : []),
         thumbnail: thumbnailValue,
+        thumbnail_small: thumbnailResult ? thumbnailResult.small_uri : null,
         originalFilename,
         duration: parseFloat(duration),
         size: parseInt(size),
         community: community || hive || null,  // Community ID (e.g., "hive-110011")
         hive: community || hive || null,       // Same value - for autopublish compatibility
-        app,
+        app: req.auth.app || app,  // API keys are bound to their app
         category,
         language,
         declineRewards,
@@ -387,13 +553,32 @@ router.post('/prepare',
         votePercent,
         beneficiaries: beneficiaries || "[]",  // Empty - encoder adds payment after job completes
         local_filename: null, // Will be set during processing
+        claimed_sha256: checksumService.normalize(sha256), // Verified when the upload completes
+        draft,
+        publish_type: publish_at ? 'schedule' : 'publish', // Holds auto-publish until publish_at
+        publish_at: publish_at ? new Date(publish_at) : null,
         status: 'uploaded'
-      });
-
-      await video.save();
+      }), { title: readable_permlink ? title : null });
 
       console.log(`✅ Video entry created: ${video._id} (${owner}/${video.permlink})`);
 
+      auditService.record({
+        action: 'upload.prepare',
+        outcome: 'success',
+        req,
+        targets: [{ type: 'video', id: video._id }, { type: 'user', id: owner }],
+        changes: auditService.diff(null, {
+          owner,
+          permlink: video.permlink,
+          title: video.title,
+          size: video.size,
+          duration: video.duration,
+          status: video.status,
+          draft: video.draft,
+          publish_at: video.publish_at
+        })
+      });
+
       // Build TUS endpoint based on request protocol/host
       // If accessed via HTTPS domain, return HTTPS TUS endpoint
       const protocol = req.protocol; // 'http' or 'https'
@@ -416,6 +601,14 @@ router.post('/prepare',
 
     } catch (error) {
       console.error('❌ Prepare upload error:', error);
+
+      if (['INVALID_THUMBNAIL', 'PERMLINK_EXHAUSTED'].includes(error.code)) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message,
+          code: error.code
+        });
+      }
       
       // Handle Mongoose validation errors with better messages
       if (error.name === 'ValidationError') {
@@ -456,10 +649,12 @@ router.post('/prepare',
 
 /**
  * 2. TUS UPLOAD CALLBACK
- * Called by TUS server when upload completes
+ * Called by an external tusd post-finish hook when an upload completes.
+ * The embedded TUS server (/files) calls the same completion logic directly.
+ * Requests must be signed with TUS_HOOK_SECRET (middleware/hook-signature.js).
  * Handles both traditional flow (video_id) and upload-first flow (upload_id)
  */
-router.post('/tus-callback', async (req, res) => {
+router.post('/tus-callback', verifyHookSignature, async (req, res) => {
   try {
     const uploadData = req.body;
     
@@ -470,206 +665,37 @@ router.post('/tus-callback', async (req, res) => {
       });
     }
     
-    const { ID, Storage, MetaData } = uploadData.Upload;
-    const filePath = Storage.Path;
-    
-    if (!MetaData) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing metadata'
-      });
-    }
-
-    // ============================================
-    // FLOW 1: TRADITIONAL (video_id in metadata)
-    // ============================================
-    if (MetaData.video_id) {
-      const { video_id, owner, permlink } = MetaData;
-      
-      if (!owner || !permlink) {
-        return res.status(400).json({
-          success: false,
-          error: 'Missing owner or permlink in metadata'
-        });
-      }
-
-      console.log(`📁 TUS callback (traditional) for ${owner}/${permlink}: ${filePath}`);
-
-      // Find video document
-      const Video = getVideoModel();
-      const video = await Video.findById(video_id);
-      if (!video) {
-        return res.status(404).json({
-          success: false,
-          error: 'Video not found'
-        });
-      }
-
-      // Verify file exists
-      if (!fs.existsSync(filePath)) {
-        return res.status(404).json({
-          success: false,
-          error: 'Upload file not found'
-        });
-      }
-
-      // Continue with traditional processing...
-      // (existing IPFS upload and job creation code follows below)
-    }
-    
-    // ============================================
-    // FLOW 2: UPLOAD-FIRST (upload_id in metadata)
-    // ============================================
-    else if (MetaData.upload_id) {
-      const { upload_id } = MetaData;
-      
-      console.log(`📁 TUS callback (upload-first) for upload_id: ${upload_id}`);
-
-      // Find temporary upload
-      const TempUpload = require('../models/TempUpload')();
-      const tempUpload = await TempUpload.findOne({ upload_id });
-      
-      if (!tempUpload) {
-        return res.status(404).json({
-          success: false,
-          error: 'Upload not found'
-        });
-      }
-
-      // Verify file exists
-      if (!fs.existsSync(filePath)) {
-        return res.status(404).json({
-          success: false,
-          error: 'Upload file not found'
-        });
-      }
+    const { Storage, MetaData } = uploadData.Upload;
 
-      // Mark TUS upload as completed
-      await TempUpload.markTusCompleted(upload_id, filePath);
-      
-      console.log(`✅ TUS upload marked complete for ${upload_id} - awaiting finalization`);
-      
-      // Return success - video entry will be created in /finalize
-      return res.json({ 
-        success: true,
-        message: 'Upload completed, awaiting finalization'
+    // Never trust the reported path: it must stay inside the upload directory
+    const filePath = await tusService.resolveUploadPath(Storage?.Path);
+    if (!filePath) {
+      logRejection(req, 'tus_callback', 'Storage.Path is not a file inside the upload directory', {
+        storage_path: Storage?.Path || null
       });
-    }
-    
-    // ============================================
-    // ERROR: No valid flow identifier
-    // ============================================
-    else {
       return res.status(400).json({
         success: false,
-        error: 'Missing video_id or upload_id in metadata'
+        error: 'Invalid upload path'
       });
     }
 
-    // ============================================
-    // TRADITIONAL FLOW CONTINUES HERE
-    // ============================================
-    const { video_id, owner, permlink } = MetaData;
-    const Video = getVideoModel();
-    const video = await Video.findById(video_id);
-
-    console.log(`⬆️ Uploading to IPFS: ${filePath}`);
-
-    // Check if video already has IPFS hash and job (idempotency check)
-    if (video.filename && video.filename.startsWith('ipfs://') && video.job_id) {
-      console.log(`⚠️ Video already processed (hash: ${video.filename}, job: ${video.job_id})`);
-      
-      // Clean up temp file if it still exists
-      try {
-        if (fs.existsSync(filePath)) {
-          fs.unlinkSync(filePath);
-          console.log(`🗑️ Cleaned up duplicate upload temp file: ${filePath}`);
-        }
-      } catch (cleanupError) {
-        console.warn(`⚠️ Failed to cleanup duplicate temp file: ${cleanupError.message}`);
-      }
-      
-      return res.json({ 
-        success: true,
-        message: 'Video already processed',
-        existing: true
-      });
-    }
+    const result = await uploadCompletionService.complete({
+      filePath,
+      metadata: MetaData
+    });
 
-    console.log(`⬆️ Uploading to IPFS: ${filePath}`);
+    res.json({ success: true, ...result });
 
-    // Upload to local IPFS (fast, reliable)
-    const uploadResult = await ipfsService.uploadFile(filePath);
-    
-    console.log(`📋 Creating encoding job...`);
-    
-    // LAST SECOND CHECK: Does a job already exist? (Simple duplicate prevention)
-    const Job = getJobModel();
-    const existingJob = await Job.findOne({
-      'metadata.video_owner': owner,
-      'metadata.video_permlink': permlink
-    });
-    
-    if (existingJob) {
-      console.log(`⚠️ Job already exists for ${owner}/${permlink}: ${existingJob.id} - Skipping job creation`);
-      
-      // Update video with existing job info
-      if (!video.job_id) {
-        video.job_id = existingJob.id;
-      }
-      if (!video.filename) {
-        video.filename = `ipfs://${uploadResult.hash}`;
-      }
-      await video.save();
-      
-      // Clean up temp file
-      try {
-        fs.unlinkSync(filePath);
-        console.log(`🗑️ Cleaned up temp file: ${filePath}`);
-      } catch (cleanupError) {
-        console.warn(`⚠️ Failed to cleanup temp file: ${cleanupError.message}`);
-      }
-      
-      return res.json({ 
-        success: true,
-        message: 'Job already exists',
-        job_id: existingJob.id
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.code && { code: error.code }),
+        ...(error.details && { data: error.details })
       });
     }
-    
-    // Create encoding job with appropriate gateway URL
-    const jobId = await jobService.createEncodingJob(
-      video, 
-      uploadResult.hash, 
-      video.size, 
-      uploadResult.gatewayUrl
-    );
-    
-    console.log(`✅ Job created: ${jobId}`);
-    
-    // Update video document
-    video.filename = `ipfs://${uploadResult.hash}`;
-    video.status = 'encoding_ipfs';
-    video.job_id = jobId;
-    video.local_filename = null; // Clear temp path
-    video.fallback_mode = uploadResult.fallbackMode;
-    video.cleanup_eligible = false; // Not eligible until published
-    
-    await video.save();
-    
-    // Clean up temp file immediately (zero local storage!)
-    try {
-      fs.unlinkSync(filePath);
-      console.log(`🗑️ Cleaned up temp file: ${filePath}`);
-    } catch (cleanupError) {
-      console.warn(`⚠️ Failed to cleanup temp file: ${cleanupError.message}`);
-    }
-
-    console.log(`✅ Upload complete: ${owner}/${permlink} → ipfs://${uploadResult.hash}`);
 
-    res.json({ success: true });
-
-  } catch (error) {
     console.error('❌ TUS callback error:', error);
     res.status(500).json({
       success: false,
@@ -687,51 +713,50 @@ router.post('/tus-callback', async (req, res) => {
  */
 router.post('/finalize',
   authLimiter,
-  uploadLimiter,
   requireAuth,
+  uploadLimiter,        // Per user: after requireAuth
+  requireScope('upload'),
   upload.single('thumbnail'),
+  requireTempUploadOwnership,
   [
     body('upload_id')
       .isLength({ min: 10 })
       .withMessage('Valid upload_id required'),
-    body('title')
-      .isLength({ min: 5, max: 250 })
-      .trim()
-      .withMessage('Title must be 5-250 characters'),
-    body('description')
-      .isLength({ min: 1, max: 50000 })
-      .trim()
-      .withMessage('Description must be 1-50000 characters'),
-    body('tags')
+    metadataRules.title(body('title').if(requiredUnlessDraft)),
+    metadataRules.description(body('description').if(requiredUnlessDraft)),
+    body('draft')
       .optional()
-      .isArray({ min: 1, max: 10 })
-      .withMessage('Tags must be an array (1-10 items)'),
+      .isBoolean()
+      .toBoolean()
+      .withMessage('draft must be boolean'),
+    validatePublishAt(),
+    metadataRules.tags(body('tags').optional()),
     body('permlink')
       .optional()
       .isLength({ min: 3, max: 255 })
       .matches(/^[a-z0-9-]+$/)
       .withMessage('Permlink must be lowercase alphanumeric with hyphens'),
-    body('category')
-      .optional()
-      .isIn(['general', 'news', 'vlogs', 'gaming', 'education', 'sports', 'music', 'crypto'])
-      .withMessage('Invalid category'),
-    body('language')
-      .optional()
-      .isLength({ min: 2, max: 5 })
-      .matches(/^[a-z]{2}(-[A-Z]{2})?$/)
-      .withMessage('Language must be ISO 639-1 code (e.g., "en", "es", "zh-CN")'),
+    metadataRules.community(body('community').optional()),
+    metadataRules.hive(body('hive').optional()),
+    metadataRules.category(body('category').optional()),
+    metadataRules.language(body('language').optional()),
     body('beneficiaries')
       .optional()
       .isArray()
       .withMessage('Beneficiaries must be an array'),
-    body('declineRewards')
+    metadataRules.declineRewards(body('declineRewards').optional()),
+    metadataRules.rewardPowerup(body('rewardPowerup').optional()),
+    metadataRules.votePercent(body('votePercent').optional()),
+    body('force_new')
       .optional()
       .isBoolean()
-      .withMessage('declineRewards must be boolean'),
-    body('rewardPowerup')
+      .toBoolean()
+      .withMessage('force_new must be boolean'),
+    body('readable_permlink')
       .optional()
       .isBoolean()
-      .withMessage('rewardPowerup must be boolean')
+      .toBoolean()
+      .withMessage('readable_permlink must be boolean')
   ],
   async (req, res) => {
     try {
@@ -758,21 +783,18 @@ router.post('/finalize',
         declineRewards = false,
         rewardPowerup = false,
         votePercent = 1,
-        thumbnail_base64
+        thumbnail_base64,
+        force_new = false,
+        readable_permlink = false,
+        draft = false,
+        publish_at
       } = req.body;
 
       console.log(`🏁 Finalizing upload: ${upload_id}`);
 
-      // Find temporary upload
+      // Temporary upload loaded and ownership-checked by requireTempUploadOwnership
       const TempUpload = require('../models/TempUpload')();
-      const tempUpload = await TempUpload.findOne({ upload_id });
-
-      if (!tempUpload) {
-        return res.status(404).json({
-          success: false,
-          error: 'Upload not found or expired'
-        });
-      }
+      const tempUpload = req.tempUpload;
 
       if (tempUpload.finalized) {
         return res.status(400).json({
@@ -782,6 +804,22 @@ router.post('/finalize',
         });
       }
 
+      if (tempUpload.quarantine_reason) {
+        return res.status(422).json({
+          success: false,
+          error: tempUpload.quarantine_reason,
+          code: 'QUARANTINED'
+        });
+      }
+
+      if (tempUpload.rejected_reason) {
+        return res.status(422).json({
+          success: false,
+          error: tempUpload.rejected_reason,
+          code: 'MEDIA_REJECTED'
+        });
+      }
+
       if (!tempUpload.tus_completed) {
         return res.status(400).json({
           success: false,
@@ -797,6 +835,32 @@ router.post('/finalize',
       }
 
       const owner = tempUpload.owner;
+      const Video = getVideoModel();
+
+      // Same content already uploaded by this owner? Let the caller decide (force_new)
+      if (tempUpload.sha256 && !force_new) {
+        const duplicate = await Video.findDuplicate(owner, tempUpload.sha256);
+        if (duplicate) {
+          console.log(`♻️ Duplicate upload ${upload_id}: same content as ${owner}/${duplicate.permlink}`);
+          return res.status(409).json({
+            success: false,
+            error: 'You already uploaded this video',
+            code: 'DUPLICATE_VIDEO',
+            data: {
+              existing: duplicate.toPublicJSON()
+            }
+          });
+        }
+      }
+
+      // A permlink chosen by the caller must be free before anything is pinned
+      if (permlink && !(await permlinkService.isAvailable(owner, permlink))) {
+        return res.status(409).json({
+          success: false,
+          error: `Permlink "${permlink}" is already in use`,
+          code: 'PERMLINK_TAKEN'
+        });
+      }
 
       console.log(`📝 Creating video entry for ${owner}: "${title}"`);
 
@@ -813,21 +877,14 @@ router.post('/finalize',
         }
       }
 
-      // Handle thumbnail upload (file or base64)
-      let thumbnailCid = null;
-      if (req.file) {
-        console.log(`🖼️ Uploading thumbnail file: ${req.file.originalname}`);
-        const uploadResult = await ipfsService.uploadThumbnail(req.file.path);
-        thumbnailCid = uploadResult.hash;
-        fs.unlinkSync(req.file.path);
-      } else if (thumbnail_base64) {
-        console.log('🖼️ Uploading base64 thumbnail');
-        const uploadResult = await ipfsService.uploadThumbnailBase64(thumbnail_base64);
-        thumbnailCid = uploadResult.hash;
+      // Handle thumbnail upload (file or base64) - validated and re-encoded before pinning
+      if (req.file || thumbnail_base64) {
+        console.log(`🖼️ Uploading thumbnail ${req.file ? `file: ${req.file.originalname}` : '(base64)'}`);
       }
+      const thumbnailResult = await pinThumbnail(req.file, thumbnail_base64);
+      const thumbnailCid = thumbnailResult ? thumbnailResult.hash : null;
 
       // Create video document
-      const Video = getVideoModel();
       const DEFAULT_THUMBNAIL = process.env.DEFAULT_THUMBNAIL || '';
       let thumbnailValue = '';
       if (thumbnailCid) {
@@ -838,19 +895,16 @@ router.post('/finalize',
           : `ipfs://${DEFAULT_THUMBNAIL}`;
       }
 
-      // Generate 8-character permlink (required by 3Speak schema)
-      const generatedPermlink = permlink || crypto.randomBytes(4).toString('hex');
-      
       const videoData = {
         owner,
         title,
         description,
-        permlink: generatedPermlink,
         tags_v2: Array.isArray(tags) ? tags : [tags],
         filename: null, // Will be set after IPFS upload
         size: tempUpload.size,
         duration: tempUpload.duration,
         thumbnail: thumbnailValue,
+        thumbnail_small: thumbnailResult ? thumbnailResult.small_uri : null,
         community: communityStr || hive || null,
         hive: communityStr || hive || null,
         category,
@@ -858,96 +912,75 @@ router.post('/finalize',
         status: 'uploaded', // Initial status, will change to encoding_ipfs after job created
         beneficiaries: JSON.stringify(beneficiaries || []), // Must be JSON string for legacy compatibility
         declineRewards,
-        fromMobile: false,
-        app: app || null,
+        draft,
+        publish_type: publish_at ? 'schedule' : 'publish', // Holds auto-publish until publish_at
+        publish_at: publish_at ? new Date(publish_at) : null,
+        app: req.auth.app || app || null,  // API keys are bound to their app
         local_filename: tempUpload.tus_file_path,
         originalFilename: tempUpload.originalFilename,
-        created: new Date()
+        created: new Date(),
+        claimed_sha256: tempUpload.claimed_sha256,
+        sha256: tempUpload.sha256, // Verified at TUS completion
+        // Real duration, resolution, codecs from the probe at TUS completion
+        ...(tempUpload.media ? mediaService.toVideoFields(tempUpload.media) : {})
       };
 
-      const video = await Video.create(videoData);
+      // Caller's permlink, or a generated one (8 random characters or a title slug)
+      const video = await permlinkService.create(
+        owner,
+        generatedPermlink => Video.create({ ...videoData, permlink: generatedPermlink }),
+        { permlink, title: readable_permlink ? title : null }
+      );
       console.log(`✅ Video created: ${video._id} (${owner}/${video.permlink})`);
 
       // Mark temporary upload as finalized
       await TempUpload.markFinalized(upload_id, video._id.toString());
 
-      // Now trigger IPFS upload and job creation
-      // (This is the same logic as the TUS callback)
-      console.log(`⬆️ Uploading to IPFS: ${tempUpload.tus_file_path}`);
-
-      const uploadResult = await ipfsService.uploadFile(tempUpload.tus_file_path);
-
-      console.log(`📋 Creating encoding job...`);
-
-      const Job = getJobModel();
-      const existingJob = await Job.findOne({
-        'metadata.video_owner': owner,
-        'metadata.video_permlink': video.permlink
+      // IPFS upload and job creation run in the ingest queue
+      const task = await ingestQueueService.enqueue({
+        video,
+        filePath: tempUpload.tus_file_path,
+        source: 'finalize'
       });
 
-      if (existingJob) {
-        console.log(`⚠️ Job already exists for ${owner}/${video.permlink}: ${existingJob.id}`);
-        video.job_id = existingJob.id;
-        video.filename = `ipfs://${uploadResult.hash}`;
-        await video.save();
+      console.log(`✅ Upload finalized: ${owner}/${video.permlink} (ingest ${task.status})`);
+
+      auditService.record({
+        action: 'upload.finalize',
+        outcome: 'success',
+        req,
+        targets: [
+          { type: 'video', id: video._id },
+          { type: 'upload', id: upload_id }
+        ],
+        changes: auditService.diff(null, {
+          owner,
+          permlink: video.permlink,
+          status: video.status,
+          draft: video.draft,
+          publish_at: video.publish_at
+        }),
+        details: force_new ? { force_new: true } : null
+      });
 
-        try {
-          fs.unlinkSync(tempUpload.tus_file_path);
-          console.log(`🗑️ Cleaned up temp file: ${tempUpload.tus_file_path}`);
-        } catch (cleanupError) {
-          console.warn(`⚠️ Failed to cleanup temp file: ${cleanupError.message}`);
+      res.json({
+        success: true,
+        data: {
+          video_id: video._id,
+          permlink: video.permlink,
+          ingest: task.toPublicJSON()
         }
+      });
 
-        return res.json({
-          success: true,
-          message: 'Job already exists',
-          data: {
-            video_id: video._id,
-            job_id: existingJob.id
-          }
+    } catch (error) {
+      console.error('❌ Finalize upload error:', error);
+      if (['INVALID_THUMBNAIL', 'PERMLINK_TAKEN', 'PERMLINK_EXHAUSTED'].includes(error.code)) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message,
+          code: error.code
         });
       }
-
-      const jobId = await jobService.createEncodingJob(
-        video,
-        uploadResult.hash,
-        video.size,
-        uploadResult.gatewayUrl
-      );
-
-      console.log(`✅ Job created: ${jobId}`);
-
-      // Update video document
-      video.filename = `ipfs://${uploadResult.hash}`;
-      video.status = 'encoding_ipfs';
-      video.job_id = jobId;
-      video.local_filename = null;
-      video.fallback_mode = uploadResult.fallbackMode;
-      video.cleanup_eligible = false;
-
-      await video.save();
-
-      // Clean up temp file
-      try {
-        fs.unlinkSync(tempUpload.tus_file_path);
-        console.log(`🗑️ Cleaned up temp file: ${tempUpload.tus_file_path}`);
-      } catch (cleanupError) {
-        console.warn(`⚠️ Failed to cleanup temp file: ${cleanupError.message}`);
-      }
-
-      console.log(`✅ Upload finalized: ${owner}/${video.permlink} → ipfs://${uploadResult.hash}`);
-
-      res.json({
-        success: true,
-        data: {
-          video_id: video._id,
-          permlink: video.permlink,
-          job_id: jobId
-        }
-      });
-
-    } catch (error) {
-      console.error('❌ Finalize upload error:', error);
       res.status(500).json({
         success: false,
         error: process.env.NODE_ENV === 'production'
@@ -962,17 +995,9 @@ router.post('/finalize',
  * 3. VIDEO STATUS
  * Returns current video and job status
  */
-router.get('/video/:id/status', requireAuth, async (req, res) => {
+router.get('/video/:id/status', requireAuth, requireScope('read-status'), requireVideoOwnership('id'), async (req, res) => {
   try {
-    const Video = getVideoModel();
-    const video = await Video.findById(req.params.id);
-    
-    if (!video) {
-      return res.status(404).json({
-        success: false,
-        error: 'Video not found'
-      });
-    }
+    const video = req.video;
 
     let jobData = null;
     if (video.job_id) {
@@ -982,10 +1007,13 @@ router.get('/video/:id/status', requireAuth, async (req, res) => {
       }
     }
 
+    const ingest = await ingestQueueService.getStatusForVideo(video._id);
+
     res.json({
       success: true,
       data: {
         video: video.toPublicJSON(),
+        ingest,
         job: jobData
       }
     });
@@ -1001,25 +1029,235 @@ router.get('/video/:id/status', requireAuth, async (req, res) => {
   }
 });
 
+// Metadata editable through PATCH /video/:id. Community and reward settings
+// are fixed once the post is on Hive; the post fields can change, but the
+// post must then be re-broadcast.
+const EDITABLE_FIELDS = [
+  'title', 'description', 'tags', 'category', 'language',
+  'community', 'hive', 'declineRewards', 'rewardPowerup', 'votePercent'
+];
+const LOCKED_AFTER_PUBLISH = ['community', 'hive', 'declineRewards', 'rewardPowerup', 'votePercent'];
+const HIVE_POST_FIELDS = ['title', 'description', 'tags_v2', 'category', 'language'];
+const AUDITED_FIELDS = ['title', 'description', 'tags_v2', 'category', 'language', 'community', 'hive',
+  'declineRewards', 'rewardPowerup', 'votePercent'];
+
+/**
+ * Copy the EDITABLE_FIELDS present in a body (validated with metadataRules)
+ * onto a video. Used by PATCH /video/:id and PATCH /drafts/:video_id.
+ */
+const applyMetadata = (video, fields) => {
+  const { title, description, tags, category, language, community, hive,
+    declineRewards, rewardPowerup, votePercent } = fields;
+
+  if (title !== undefined) video.title = title;
+  if (description !== undefined) video.description = description;
+  if (tags !== undefined) {
+    video.tags_v2 = tags;
+    video.tags = tags.join(',');
+  }
+  if (category !== undefined) video.category = category;
+  if (language !== undefined) video.language = language;
+  if (community !== undefined || hive !== undefined) {
+    // Normalize community to string if it's an object
+    const communityStr = community && typeof community === 'object' ? community.name : community;
+    video.community = communityStr || hive || null;
+    video.hive = communityStr || hive || null; // Same value - for autopublish compatibility
+  }
+  if (declineRewards !== undefined) video.declineRewards = declineRewards;
+  if (rewardPowerup !== undefined) video.rewardPowerup = rewardPowerup;
+  if (votePercent !== undefined) video.votePercent = votePercent;
+};
+
+/**
+ * Edit a video's metadata (owner only). Only sent fields change; same rules
+ * as /prepare. Changing a published video's post fields sets
+ * needsHiveUpdate/updateSteem so the post is re-broadcast.
+ */
+router.patch('/video/:id',
+  requireAuth,
+  requireScope('upload'),
+  requireVideoOwnership('id'),
+  EDITABLE_FIELDS.map(field => metadataRules[field](body(field).optional())),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const video = req.video;
+      const sent = EDITABLE_FIELDS.filter(field => req.body[field] !== undefined);
+
+      if (sent.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: `No editable fields provided (${EDITABLE_FIELDS.join(', ')})`
+        });
+      }
+
+      const published = video.isPublished();
+      const locked = published ? sent.filter(field => LOCKED_AFTER_PUBLISH.includes(field)) : [];
+      if (locked.length > 0) {
+        return res.status(409).json({
+          success: false,
+          error: `Cannot change ${locked.join(', ')} after the video is published`,
+          code: 'FIELD_LOCKED',
+          data: { fields: locked }
+        });
+      }
+
+      const before = video.toObject();
+      applyMetadata(video, req.body);
+
+      const changes = auditService.diff(before, video.toObject(), AUDITED_FIELDS);
+      const changed = Object.keys(changes.after);
+
+      // The post on Hive still has the old title/body/metadata
+      const hiveUpdate = published && changed.some(field => HIVE_POST_FIELDS.includes(field));
+      if (hiveUpdate) {
+        video.needsHiveUpdate = true;
+        video.updateSteem = true;
+      }
+
+      if (changed.length > 0) {
+        await video.save();
+        console.log(`📝 Video updated: ${video.owner}/${video.permlink} (${changed.join(', ')})${hiveUpdate ? ' - Hive update pending' : ''}`);
+
+        auditService.record({
+          action: 'video.update',
+          outcome: 'success',
+          req,
+          targets: [{ type: 'video', id: video._id }],
+          changes,
+          details: hiveUpdate ? { needsHiveUpdate: true } : null
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          video: video.toPublicJSON(),
+          changed,
+          hive_update: hiveUpdate
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Video update error:', error);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: Object.keys(error.errors).map(field => ({
+            field,
+            message: error.errors[field].message
+          }))
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: process.env.NODE_ENV === 'production'
+          ? 'Failed to update video'
+          : error.message
+      });
+    }
+  }
+);
+
+/**
+ * DELETE VIDEO
+ * Withdraw a video at any stage. An unpublished video is soft-deleted and
+ * its resources released (queued ingest, encoding job, source pin, temp
+ * files); a published one is only hidden - it lives on Hive already.
+ */
+router.delete('/video/:id',
+  requireAuth,
+  requireScope('upload'),
+  requireVideoOwnership('id', { allowDeleted: true }), // Answers 409 ALREADY_DELETED itself
+  body('reason').optional().isString().trim().isLength({ min: 1, max: 500 }).withMessage('Reason must be 1-500 characters'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const video = req.video;
+      if (video.deleted) {
+        return res.status(409).json({
+          success: false,
+          error: 'Video is already deleted',
+          code: 'ALREADY_DELETED'
+        });
+      }
+
+      const reason = req.body.reason || 'Deleted by owner';
+      const hiddenOnly = video.isPublished();
+      const before = { deleted: false, draft: video.draft, fromMobile: video.fromMobile, publish_type: video.publish_type };
+
+      await video.softDelete(reason);
+      const released = hiddenOnly ? null : await cleanupService.releaseVideo(video);
+
+      console.log(`🗑️ Video ${hiddenOnly ? 'hidden' : 'deleted'}: ${video.owner}/${video.permlink} (${reason})`);
+
+      auditService.record({
+        action: 'video.delete',
+        outcome: 'success',
+        req,
+        targets: [{ type: 'video', id: video._id }, { type: 'user', id: video.owner }],
+        changes: auditService.diff(before, {
+          deleted: true,
+          draft: video.draft,
+          fromMobile: video.fromMobile,
+          publish_type: video.publish_type
+        }),
+        reason,
+        details: { status: video.status, hidden_only: hiddenOnly, released }
+      });
+
+      res.json({
+        success: true,
+        data: {
+          video: video.toPublicJSON(),
+          hidden_only: hiddenOnly,
+          released
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Delete video error:', error);
+      res.status(500).json({
+        success: false,
+        error: process.env.NODE_ENV === 'production'
+          ? 'Failed to delete video'
+          : error.message
+      });
+    }
+  }
+);
+
 /**
  * 4. LIST VIDEOS
  * Returns videos for a specific owner
  */
-router.get('/videos', requireAuth, async (req, res) => {
+router.get('/videos', requireAuth, requireScope('read-status'), bindQueryOwner, async (req, res) => {
   try {
     const {
-      owner,
       status,
       limit = 20,
       offset = 0
     } = req.query;
-
-    if (!owner) {
-      return res.status(400).json({
-        success: false,
-        error: 'Owner parameter is required'
-      });
-    }
+    const owner = req.owner;
 
     const Video = getVideoModel();
     const videos = await Video.findByOwner(owner, {
@@ -1028,7 +1266,7 @@ router.get('/videos', requireAuth, async (req, res) => {
       offset: parseInt(offset)
     });
 
-    const query = { owner };
+    const query = { owner, deleted: { $ne: true } };
     if (status) query.status = status;
     const total = await Video.countDocuments(query);
 
@@ -1053,6 +1291,41 @@ router.get('/videos', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * GET UPLOAD QUOTA
+ * Current usage, limits and remaining allowance for ?owner= (defaults to the caller)
+ */
+router.get('/quota', requireAuth, requireScope('read-status'), bindQueryOwner, async (req, res) => {
+  try {
+    const ContentCreator = getContentCreatorModel();
+    const creator = await ContentCreator.findOne({ username: req.owner });
+    const policy = policyService.evaluate(creator);
+    const quota = await quotaService.getQuotaStatus(req.owner, creator, policy);
+
+    res.json({
+      success: true,
+      data: {
+        ...quota,
+        policy: {
+          rule: policy.rule,
+          can_upload: policy.can_upload,
+          max_file_size: policy.max_file_size || null,
+          max_duration: policy.max_duration || null
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Quota error:', error);
+    res.status(500).json({
+      success: false,
+      error: process.env.NODE_ENV === 'production'
+        ? 'Failed to retrieve quota'
+        : error.message
+    });
+  }
+});
+
 /**
  * 5. ENHANCED HEALTH CHECK
  * Returns comprehensive service health information
@@ -1138,11 +1411,25 @@ router.get('/health', async (req, res) => {
  * 6. MANUAL CLEANUP TRIGGER
  * Triggers immediate cleanup process
  */
-router.post('/cleanup', requireAuth, async (req, res) => {
+router.post('/cleanup', requireAuth, requireScope('admin'), async (req, res) => {
   try {
     console.log('🧹 Manual cleanup triggered');
     const result = await cleanupService.performCleanup();
-    
+
+    auditService.record({
+      action: 'cleanup.manual',
+      outcome: 'success',
+      req,
+      targets: result.details
+        .filter(detail => detail.action === 'cleaned')
+        .map(detail => ({ type: 'cid', id: detail.ipfsHash })),
+      details: {
+        cleaned: result.cleaned,
+        errors: result.errors,
+        total: result.total
+      }
+    });
+
     res.json({
       success: true,
       message: 'Cleanup completed',
@@ -1161,16 +1448,18 @@ router.post('/cleanup', requireAuth, async (req, res) => {
  * 7. SERVICE STATISTICS
  * Returns comprehensive service statistics
  */
-router.get('/stats', requireAuth, async (req, res) => {
+router.get('/stats', requireAuth, requireScope('moderate'), async (req, res) => {
   try {
     const [
       cleanupStats,
       jobStats,
-      ipfsStatus
+      ipfsStatus,
+      ingestStats
     ] = await Promise.all([
       cleanupService.getCleanupStats(),
       jobService.getJobStats(),
-      ipfsService.getServiceStatus()
+      ipfsService.getServiceStatus(),
+      ingestQueueService.getStats()
     ]);
 
     res.json({
@@ -1179,6 +1468,7 @@ router.get('/stats', requireAuth, async (req, res) => {
         cleanup: cleanupStats,
         jobs: jobStats,
         ipfs: ipfsStatus,
+        ingest: ingestStats,
         timestamp: new Date().toISOString()
       }
     });
@@ -1232,38 +1522,86 @@ upload_service_uptime_seconds ${process.uptime()}
   }
 });
 
+/**
+ * THUMBNAIL CANDIDATES
+ * Frames the service extracted for a video uploaded without thumbnail
+ */
+router.get('/thumbnail/:video_id/candidates',
+  requireAuth,
+  requireScope('read-status'),
+  requireVideoOwnership('video_id'),
+  (req, res) => {
+    res.json({
+      success: true,
+      data: {
+        video_id: req.video._id,
+        thumbnail: req.video.thumbnail,
+        candidates: req.video.thumbnail_candidates || []
+      }
+    });
+  }
+);
+
 /**
  * STANDALONE THUMBNAIL UPLOAD
  * Upload thumbnail for existing video and update MongoDB
+ * Send a "thumbnail" file, or "candidate" (CID or ipfs:// URI) to pick one of
+ * the generated candidates.
  */
 router.post('/thumbnail/:video_id',
   requireAuth,
+  requireScope('upload'),
+  requireVideoOwnership('video_id'),
   upload.single('thumbnail'),
   async (req, res) => {
     try {
       const { video_id } = req.params;
+      const { candidate } = req.body;
       
-      if (!req.file) {
+      if (!req.file && typeof candidate !== 'string') {
         return res.status(400).json({
           success: false,
-          error: 'No thumbnail file provided'
+          error: 'No thumbnail file or candidate provided'
         });
       }
 
-      console.log(`🖼️ Uploading thumbnail for video: ${video_id}`);
-      
-      // Upload to IPFS supernode
-      const uploadResult = await ipfsService.uploadThumbnail(req.file.path);
-      const thumbnailCid = uploadResult.hash;
-      const thumbnailUri = `ipfs://${thumbnailCid}`;
-      
-      console.log(`✅ Thumbnail uploaded: ${thumbnailUri}`);
+      let thumbnailCid;
+      let thumbnailUri;
+      let thumbnailSmallUri;
+
+      if (req.file) {
+        console.log(`🖼️ Uploading thumbnail for video: ${video_id}`);
+
+        // Validate, re-encode and upload to IPFS supernode
+        const uploadResult = await pinThumbnail(req.file);
+        thumbnailCid = uploadResult.hash;
+        thumbnailUri = uploadResult.uri;
+        thumbnailSmallUri = uploadResult.small_uri;
+
+        console.log(`✅ Thumbnail uploaded: ${thumbnailUri}`);
+      } else {
+        // Only frames generated for this video can be picked (already pinned)
+        thumbnailUri = candidate.startsWith('ipfs://') ? candidate : `ipfs://${candidate}`;
+        const candidates = req.video.thumbnail_candidates || [];
+        const picked = candidates.find(entry => entry.uri === thumbnailUri);
+
+        if (!picked) {
+          return res.status(400).json({
+            success: false,
+            error: 'Unknown thumbnail candidate'
+          });
+        }
+
+        thumbnailCid = thumbnailUri.replace('ipfs://', '');
+        thumbnailSmallUri = picked.small_uri || null;
+        console.log(`🖼️ Using thumbnail candidate for video ${video_id}: ${thumbnailUri}`);
+      }
       
       // Update video document
       const Video = getVideoModel();
       const video = await Video.findByIdAndUpdate(
         video_id,
-        { thumbnail: thumbnailUri },
+        { thumbnail: thumbnailUri, thumbnail_small: thumbnailSmallUri },
         { new: true }
       );
       
@@ -1275,14 +1613,14 @@ router.post('/thumbnail/:video_id',
       }
       
       console.log(`📝 Updated video ${video.owner}/${video.permlink} with thumbnail`);
-      
-      // Clean up temp file
-      try {
-        const fs = require('fs').promises;
-        await fs.unlink(req.file.path);
-      } catch (err) {
-        console.warn(`⚠️ Failed to cleanup temp thumbnail: ${err.message}`);
-      }
+
+      auditService.record({
+        action: 'video.thumbnail',
+        outcome: 'success',
+        req,
+        targets: [{ type: 'video', id: video._id }, { type: 'cid', id: thumbnailCid }],
+        changes: auditService.diff({ thumbnail: req.video.thumbnail }, { thumbnail: thumbnailUri })
+      });
       
       res.json({
         success: true,
@@ -1292,12 +1630,20 @@ router.post('/thumbnail/:video_id',
           permlink: video.permlink,
           thumbnail: thumbnailUri,
           thumbnail_url: thumbnailUri, // Frontend expects this
+          thumbnail_small: thumbnailSmallUri,
           ipfs_hash: thumbnailCid
         }
       });
       
     } catch (error) {
       console.error('❌ Thumbnail upload error:', error);
+      if (error.code === 'INVALID_THUMBNAIL') {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message,
+          code: error.code
+        });
+      }
       res.status(500).json({
         success: false,
         error: error.message
@@ -1306,6 +1652,402 @@ router.post('/thumbnail/:video_id',
   }
 );
 
+// ============================================
+// DRAFTS
+// ============================================
+// A video created with draft: true (/prepare or /finalize) is ingested and
+// encoded right away, but is not published until the creator calls
+// POST /drafts/:video_id/publish. Until then its metadata can be edited.
+
+const DRAFT_FIELDS = [...AUDITED_FIELDS, 'beneficiaries', 'thumbnail', 'thumbnail_small'];
+
+/**
+ * Reject videos that are no longer drafts (run after requireVideoOwnership)
+ */
+const requireDraft = (req, res, next) => {
+  if (!req.video.draft) {
+    return res.status(409).json({
+      success: false,
+      error: 'Video is not a draft',
+      code: 'NOT_A_DRAFT'
+    });
+  }
+  next();
+};
+
+/**
+ * Parse beneficiaries sent as an array or JSON string
+ * @returns {Array<{account: string, weight: number}>}
+ * @throws {Error} If the list is malformed
+ */
+const parseBeneficiaries = (value) => {
+  const list = typeof value === 'string' ? JSON.parse(value) : value;
+  if (!Array.isArray(list) || list.length > 8) {
+    throw new Error('Beneficiaries must be an array of at most 8 entries');
+  }
+
+  let total = 0;
+  for (const entry of list) {
+    if (!entry || !/^[a-z0-9.-]{3,16}$/.test(entry.account) ||
+        !Number.isInteger(entry.weight) || entry.weight < 1 || entry.weight > 10000) {
+      throw new Error('Each beneficiary needs an account and a weight of 1-10000');
+    }
+    total += entry.weight;
+  }
+  if (total > 10000) {
+    throw new Error('Beneficiary weights must add up to at most 10000');
+  }
+
+  return list.map(({ account, weight }) => ({ account, weight }));
+};
+
+// Same metadata rules as PATCH /video/:id, plus beneficiaries
+const validateDraftUpdate = [
+  // Multipart bodies (thumbnail upload) send tags as a comma-separated string
+  body('tags')
+    .optional()
+    .customSanitizer(value => (typeof value === 'string'
+      ? value.split(',').map(tag => tag.trim()).filter(Boolean)
+      : value)),
+  ...EDITABLE_FIELDS.map(field => metadataRules[field](body(field).optional())),
+  body('beneficiaries')
+    .optional()
+    .custom(value => {
+      parseBeneficiaries(value);
+      return true;
+    }),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      if (req.file && fs.existsSync(req.file.path)) {
+        fs.unlinkSync(req.file.path);
+      }
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+    next();
+  }
+];
+
+/**
+ * List the owner's drafts
+ */
+router.get('/drafts', requireAuth, requireScope('read-status'), bindQueryOwner, async (req, res) => {
+  try {
+    const { limit = 20, offset = 0 } = req.query;
+
+    const Video = getVideoModel();
+    const drafts = await Video.findDrafts(req.owner, {
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        drafts: drafts.map(video => video.toPublicJSON()),
+        count: drafts.length
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ List drafts error:', error);
+    res.status(500).json({
+      success: false,
+      error: process.env.NODE_ENV === 'production'
+        ? 'Failed to list drafts'
+        : error.message
+    });
+  }
+});
+
+/**
+ * Get one draft with what is still missing before it can be published
+ */
+router.get('/drafts/:video_id',
+  requireAuth,
+  requireScope('read-status'),
+  requireVideoOwnership('video_id'),
+  requireDraft,
+  (req, res) => {
+    res.json({
+      success: true,
+      data: {
+        video: req.video.toPublicJSON(),
+        beneficiaries: JSON.parse(req.video.beneficiaries || '[]'),
+        missing: req.video.missingForPublish()
+      }
+    });
+  }
+);
+
+/**
+ * Edit a draft's metadata (the EDITABLE_FIELDS of PATCH /video/:id),
+ * beneficiaries and thumbnail ("thumbnail" file or thumbnail_base64). Only
+ * sent fields change.
+ */
+router.patch('/drafts/:video_id',
+  requireAuth,
+  requireScope('upload'),
+  requireVideoOwnership('video_id'),
+  requireDraft,
+  upload.single('thumbnail'),
+  validateDraftUpdate,
+  async (req, res) => {
+    try {
+      const video = req.video;
+      const { beneficiaries, thumbnail_base64 } = req.body;
+      const before = video.toObject();
+
+      applyMetadata(video, req.body);
+      if (beneficiaries !== undefined) {
+        video.beneficiaries = JSON.stringify(parseBeneficiaries(beneficiaries));
+      }
+
+      const thumbnailResult = await pinThumbnail(req.file, thumbnail_base64);
+      if (thumbnailResult) {
+        video.thumbnail = thumbnailResult.uri;
+        video.thumbnail_small = thumbnailResult.small_uri;
+      }
+
+      const changes = auditService.diff(before, video.toObject(), DRAFT_FIELDS);
+      if (Object.keys(changes.after).length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'No changes provided'
+        });
+      }
+
+      await video.save();
+      console.log(`📝 Draft updated: ${video.owner}/${video.permlink} (${Object.keys(changes.after).join(', ')})`);
+
+      auditService.record({
+        action: 'draft.update',
+        outcome: 'success',
+        req,
+        targets: [{ type: 'video', id: video._id }],
+        changes
+      });
+
+      res.json({
+        success: true,
+        data: {
+          video: video.toPublicJSON(),
+          missing: video.missingForPublish()
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Draft update error:', error);
+      if (error.code === 'INVALID_THUMBNAIL') {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message,
+          code: error.code
+        });
+      }
+      res.status(500).json({
+        success: false,
+        error: process.env.NODE_ENV === 'production'
+          ? 'Failed to update draft'
+          : error.message
+      });
+    }
+  }
+);
+
+/**
+ * Publish a draft: releases the auto-publish hold. Encoding continues (or
+ * has finished) as usual; a draft that already finished encoding is
+ * published right away. Send publish_at to schedule it instead.
+ */
+router.post('/drafts/:video_id/publish',
+  requireAuth,
+  requireScope('upload'),
+  requireVideoOwnership('video_id'),
+  requireDraft,
+  validateScheduleBody(false),
+  async (req, res) => {
+    try {
+      const video = req.video;
+      const { publish_at } = req.body;
+
+      const missing = video.missingForPublish();
+      if (missing.length > 0) {
+        return res.status(422).json({
+          success: false,
+          error: `Draft is missing: ${missing.join(', ')}`,
+          code: 'DRAFT_INCOMPLETE',
+          data: { missing }
+        });
+      }
+
+      if (['failed', 'quarantined'].includes(video.status)) {
+        return res.status(409).json({
+          success: false,
+          error: `Video cannot be published (status: ${video.status})`,
+          code: 'NOT_PUBLISHABLE'
+        });
+      }
+
+      const before = { draft: video.draft, status: video.status, publish_at: video.publish_at };
+      await video.publishDraft(publish_at ? new Date(publish_at) : null);
+
+      console.log(`🚀 Draft published: ${video.owner}/${video.permlink} (status: ${video.status}${publish_at ? `, scheduled for ${video.publish_at.toISOString()}` : ''})`);
+
+      auditService.record({
+        action: 'draft.publish',
+        outcome: 'success',
+        req,
+        targets: [{ type: 'video', id: video._id }],
+        changes: auditService.diff(before, { draft: video.draft, status: video.status, publish_at: video.publish_at })
+      });
+
+      res.json({
+        success: true,
+        data: {
+          video: video.toPublicJSON()
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Draft publish error:', error);
+      res.status(500).json({
+        success: false,
+        error: process.env.NODE_ENV === 'production'
+          ? 'Failed to publish draft'
+          : error.message
+      });
+    }
+  }
+);
+
+// ============================================
+// SCHEDULED PUBLISHING
+// ============================================
+// Videos created with publish_at are released by services/publish-scheduler.js
+// when the time comes. Until then they can be rescheduled or cancelled.
+
+const UNSCHEDULABLE_STATUSES = ['published', 'failed', 'quarantined'];
+
+/**
+ * Schedule or reschedule a video's publish time
+ */
+router.put('/schedule/:video_id',
+  requireAuth,
+  requireScope('upload'),
+  requireVideoOwnership('video_id'),
+  validateScheduleBody(true),
+  async (req, res) => {
+    try {
+      const video = req.video;
+
+      if (video.draft) {
+        return res.status(409).json({
+          success: false,
+          error: 'Drafts are scheduled when they are published (POST /drafts/:video_id/publish)',
+          code: 'NOT_SCHEDULABLE'
+        });
+      }
+
+      if (UNSCHEDULABLE_STATUSES.includes(video.status)) {
+        return res.status(409).json({
+          success: false,
+          error: `Video cannot be scheduled (status: ${video.status})`,
+          code: 'NOT_SCHEDULABLE'
+        });
+      }
+
+      const before = { publish_type: video.publish_type, publish_at: video.publish_at };
+      video.schedulePublish(new Date(req.body.publish_at));
+      await video.save();
+
+      console.log(`📅 Publish scheduled: ${video.owner}/${video.permlink} at ${video.publish_at.toISOString()}`);
+
+      auditService.record({
+        action: 'video.schedule',
+        outcome: 'success',
+        req,
+        targets: [{ type: 'video', id: video._id }],
+        changes: auditService.diff(before, { publish_type: video.publish_type, publish_at: video.publish_at })
+      });
+
+      res.json({
+        success: true,
+        data: {
+          video: video.toPublicJSON()
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Schedule error:', error);
+      res.status(500).json({
+        success: false,
+        error: process.env.NODE_ENV === 'production'
+          ? 'Failed to schedule video'
+          : error.message
+      });
+    }
+  }
+);
+
+/**
+ * Cancel a scheduled publish. The video is kept unpublished as a draft:
+ * publish it (optionally with a new publish_at) through POST /drafts/:video_id/publish.
+ */
+router.delete('/schedule/:video_id',
+  requireAuth,
+  requireScope('upload'),
+  requireVideoOwnership('video_id'),
+  async (req, res) => {
+    try {
+      const video = req.video;
+
+      if (video.publish_type !== 'schedule') {
+        return res.status(409).json({
+          success: false,
+          error: 'Video is not scheduled',
+          code: 'NOT_SCHEDULED'
+        });
+      }
+
+      const before = { publish_type: video.publish_type, publish_at: video.publish_at, draft: video.draft };
+      video.draft = true;
+      video.schedulePublish(null);
+      await video.save();
+
+      console.log(`🛑 Scheduled publish cancelled: ${video.owner}/${video.permlink} (now a draft)`);
+
+      auditService.record({
+        action: 'video.schedule_cancel',
+        outcome: 'success',
+        req,
+        targets: [{ type: 'video', id: video._id }],
+        changes: auditService.diff(before, { publish_type: video.publish_type, publish_at: video.publish_at, draft: video.draft })
+      });
+
+      res.json({
+        success: true,
+        data: {
+          video: video.toPublicJSON()
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Cancel schedule error:', error);
+      res.status(500).json({
+        success: false,
+        error: process.env.NODE_ENV === 'production'
+          ? 'Failed to cancel schedule'
+          : error.message
+      });
+    }
+  }
+);
+
 // ============================================
 // GET IN-PROGRESS VIDEOS
 // ============================================
@@ -1326,16 +2068,9 @@ router.post('/thumbnail/:video_id',
  * - Calculate display-ready status labels and progress
  * - Return everything frontend needs in ONE call
  */
-router.get('/in-progress', requireAuth, async (req, res) => {
+router.get('/in-progress', requireAuth, requireScope('read-status'), bindQueryOwner, async (req, res) => {
   try {
-    const owner = req.body.owner || req.headers['x-hive-username'];
-    
-    if (!owner) {
-      return res.status(400).json({
-        success: false,
-        error: 'Username required'
-      });
-    }
+    const owner = req.owner;
     
     console.log(`🔍 Checking in-progress videos for: ${owner}`);
     
@@ -1355,7 +2090,8 @@ router.get('/in-progress', requireAuth, async (req, res) => {
           'encoding_progress'   // Actively encoding
         ]
       },
-      created: { $gte: sixHoursAgo } // Only videos from last 6 hours
+      created: { $gte: sixHoursAgo }, // Only videos from last 6 hours
+      deleted: { $ne: true }
     })
     .select('_id owner permlink title status job_id created encodingProgress thumbnail filename')
     .sort({ created: -1 }) // Newest first
@@ -0,0 +1,220 @@
+const crypto = require('crypto');
+const roleService = require('./role');
+const { SCOPES, ROLE_NAMES } = require('../config/roles');
+
+const KEY_PREFIX = '3sk';
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000; // Avoid a write on every request
+
+class ApiKeyService {
+  constructor() {
+    // Lazy load models to avoid circular dependencies
+    this._ApiKey = null;
+  }
+
+  get ApiKey() {
+    if (!this._ApiKey) {
+      this._ApiKey = require('../models/ApiKey')();
+    }
+    return this._ApiKey;
+  }
+
+  get scopes() {
+    return SCOPES;
+  }
+
+  get roles() {
+    return ROLE_NAMES;
+  }
+
+  /**
+   * Check whether a bearer token looks like an API key
+   * @param {string} token - Raw bearer token
+   * @returns {boolean}
+   */
+  isApiKey(token) {
+    return typeof token === 'string' && token.startsWith(`${KEY_PREFIX}_`);
+  }
+
+  /**
+   * Hash the secret part of a key
+   * @private
+   */
+  _hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  /**
+   * Split a raw key into its ID and secret
+   * @private
+   */
+  _parseKey(rawKey) {
+    const [prefix, keyId, secret] = rawKey.split('_');
+    if (prefix !== KEY_PREFIX || !keyId || !secret) {
+      return null;
+    }
+    return { keyId, secret };
+  }
+
+  /**
+   * Generate a new secret and its full key string
+   * @private
+   */
+  _generateKey(keyId) {
+    const secret = crypto.randomBytes(32).toString('hex');
+    return {
+      key: `${KEY_PREFIX}_${keyId}_${secret}`,
+      hash: this._hashSecret(secret)
+    };
+  }
+
+  /**
+   * Create a new API key
+   * @param {Object} options - { name, app, scopes, roles, rateLimit, createdBy }
+   * @returns {Promise<{key: string, apiKey: Object}>} Full key (shown once) and stored record
+   */
+  async createKey({ name, app, scopes = ['upload', 'read-status'], roles = [], rateLimit = null, createdBy = null }) {
+    const invalidScopes = scopes.filter(scope => !this.scopes.includes(scope));
+    if (invalidScopes.length > 0) {
+      throw new Error(`Invalid scopes: ${invalidScopes.join(', ')}`);
+    }
+    roleService.assertValidRoles(roles);
+
+    const keyId = crypto.randomBytes(8).toString('hex');
+    const { key, hash } = this._generateKey(keyId);
+
+    const apiKey = await this.ApiKey.create({
+      key_id: keyId,
+      key_hash: hash,
+      name,
+      app,
+      scopes,
+      roles,
+      rate_limit: rateLimit,
+      created_by: createdBy
+    });
+
+    console.log(`🔑 API key created: ${keyId} (${name}, app: ${app}, scopes: ${scopes.join(',')}, roles: ${roles.join(',') || 'none'})`);
+
+    return { key, apiKey };
+  }
+
+  /**
+   * Verify a raw API key
+   * @param {string} rawKey - Full key from the Authorization header
+   * @returns {Promise<Object|null>} ApiKey document or null
+   */
+  async verifyKey(rawKey) {
+    const parsed = this._parseKey(rawKey);
+    if (!parsed) {
+      return null;
+    }
+
+    const apiKey = await this.ApiKey.findOne({ key_id: parsed.keyId, revoked: false });
+    if (!apiKey) {
+      return null;
+    }
+
+    const expected = Buffer.from(apiKey.key_hash, 'hex');
+    const provided = Buffer.from(this._hashSecret(parsed.secret), 'hex');
+    if (!crypto.timingSafeEqual(expected, provided)) {
+      return null;
+    }
+
+    // Track usage without writing on every request
+    if (!apiKey.last_used || Date.now() - apiKey.last_used.getTime() > LAST_USED_UPDATE_INTERVAL_MS) {
+      this.ApiKey.updateOne({ key_id: apiKey.key_id }, { last_used: new Date() })
+        .catch(err => console.warn(`⚠️ Failed to update last_used for ${apiKey.key_id}: ${err.message}`));
+    }
+
+    return apiKey;
+  }
+
+  /**
+   * Rotate a key's secret (same key_id, app and scopes)
+   * @param {string} keyId - Key ID
+   * @returns {Promise<{key: string, apiKey: Object}|null>} New full key or null if not found
+   */
+  async rotateKey(keyId) {
+    const { key, hash } = this._generateKey(keyId);
+
+    const apiKey = await this.ApiKey.findOneAndUpdate(
+      { key_id: keyId, revoked: false },
+      { key_hash: hash, rotated_at: new Date() },
+      { new: true }
+    );
+
+    if (!apiKey) {
+      return null;
+    }
+
+    console.log(`🔄 API key rotated: ${keyId}`);
+    return { key, apiKey };
+  }
+
+  /**
+   * Replace the roles of a key
+   * @param {string} keyId - Key ID
+   * @param {string[]} roles - Role names
+   * @returns {Promise<{before: string[], after: string[], apiKey: Object}|null>} Null if not found
+   */
+  async setKeyRoles(keyId, roles) {
+    roleService.assertValidRoles(roles);
+
+    const previous = await this.ApiKey.findOne({ key_id: keyId, revoked: false });
+    if (!previous) {
+      return null;
+    }
+
+    const unique = [...new Set(roles)];
+    const apiKey = await this.ApiKey.findOneAndUpdate(
+      { key_id: keyId },
+      { roles: unique },
+      { new: true }
+    );
+
+    console.log(`👮 Roles for API key ${keyId} set to [${unique.join(', ')}]`);
+    return { before: previous.roles, after: unique, apiKey };
+  }
+
+  /**
+   * Get the effective scopes of a key (explicit scopes + role scopes)
+   * @param {Object} apiKey - ApiKey document
+   * @returns {string[]} Scopes
+   */
+  effectiveScopes(apiKey) {
+    return [...new Set([...apiKey.scopes, ...roleService.expandRoles(apiKey.roles || [])])];
+  }
+
+  /**
+   * Revoke a key
+   * @param {string} keyId - Key ID
+   * @returns {Promise<Object|null>} Revoked key or null if not found
+   */
+  async revokeKey(keyId) {
+    const apiKey = await this.ApiKey.findOneAndUpdate(
+      { key_id: keyId, revoked: false },
+      { revoked: true, revoked_at: new Date() },
+      { new: true }
+    );
+
+    if (apiKey) {
+      console.log(`🚫 API key revoked: ${keyId}`);
+    }
+    return apiKey;
+  }
+
+  /**
+   * List keys
+   * @param {Object} options - { includeRevoked, app }
+   * @returns {Promise<Array>} ApiKey documents
+   */
+  async listKeys({ includeRevoked = false, app = null } = {}) {
+    const query = {};
+    if (!includeRevoked) query.revoked = false;
+    if (app) query.app = app;
+
+    return this.ApiKey.find(query).sort({ created: -1 });
+  }
+}
+
+module.exports = new ApiKeyService();
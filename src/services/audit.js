@@ -0,0 +1,143 @@
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+class AuditService {
+  constructor() {
+    // Lazy load models to avoid circular dependencies
+    this._AuditLog = null;
+  }
+
+  get AuditLog() {
+    if (!this._AuditLog) {
+      this._AuditLog = require('../models/AuditLog')();
+    }
+    return this._AuditLog;
+  }
+
+  /**
+   * Describe the actor behind a request
+   * @param {Object} auth - req.auth from requireAuth
+   * @returns {{type: string, id: string|null, roles: string[]}}
+   */
+  describeActor(auth) {
+    if (!auth || !auth.authenticated) {
+      return { type: 'anonymous', id: null, roles: [] };
+    }
+
+    return {
+      type: auth.authType,
+      id: auth.username || auth.apiKeyId || null,
+      roles: auth.roles || []
+    };
+  }
+
+  /**
+   * Reduce a before/after pair to the fields that changed
+   * @param {Object} before - Previous values (null for creations)
+   * @param {Object} after - New values (null for deletions)
+   * @param {string[]} fields - Fields to compare (defaults to all keys of both)
+   * @returns {{before: Object|null, after: Object|null}}
+   */
+  diff(before, after, fields = null) {
+    const keys = fields || [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+    const changedBefore = {};
+    const changedAfter = {};
+
+    for (const key of keys) {
+      const previous = before ? before[key] : undefined;
+      const next = after ? after[key] : undefined;
+      if (isSameValue(previous, next)) continue;
+
+      if (before) changedBefore[key] = previous ?? null;
+      if (after) changedAfter[key] = next ?? null;
+    }
+
+    return {
+      before: before ? changedBefore : null,
+      after: after ? changedAfter : null
+    };
+  }
+
+  /**
+   * Record an audit event
+   * Never throws: a failing audit write must not break the request.
+   * @param {Object} entry - { action, outcome, req, actor, targets, changes, reason, details }
+   *   targets: [{ type, id }], changes: { before, after } (use diff())
+   * @returns {Promise<Object|null>} Stored entry or null on failure
+   */
+  async record({ action, outcome, req = null, actor = null, targets = [], changes = null, reason = null, details = null }) {
+    try {
+      return await this.AuditLog.create({
+        action,
+        outcome,
+        actor: actor || this.describeActor(req?.auth),
+        ip: req?.ip || null,
+        method: req?.method || null,
+        path: req?.originalUrl || null,
+        targets: targets
+          .filter(target => target && target.id)
+          .map(target => ({ type: target.type, id: String(target.id) })),
+        changes: changes || { before: null, after: null },
+        reason,
+        details
+      });
+    } catch (error) {
+      console.error(`❌ Failed to write audit log (${action}/${outcome}):`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Record a denied request (fire-and-forget)
+   * @param {Object} req - Express request
+   * @param {string} action - What was attempted ("authorization", "ownership", ...)
+   * @param {string} reason - Why it was denied
+   * @param {Object} details - Extra context
+   * @param {Array} targets - [{ type, id }] the request tried to touch
+   */
+  denied(req, action, reason, details = null, targets = []) {
+    this.record({ action, outcome: 'denied', req, reason, details, targets });
+  }
+
+  /**
+   * Query the audit log (newest first)
+   * @param {Object} filters - { actor, action, targetType, targetId, outcome, from, to, limit, offset }
+   *   action may end in "*" to match a prefix (e.g. "upload.*")
+   * @returns {Promise<{entries: Array, total: number}>}
+   */
+  async query({ actor, action, targetType, targetId, outcome, from, to, limit = 50, offset = 0 } = {}) {
+    const query = {};
+
+    if (actor) query['actor.id'] = actor;
+    if (outcome) query.outcome = outcome;
+    if (action) {
+      query.action = action.endsWith('*')
+        ? { $regex: `^${escapeRegex(action.slice(0, -1))}` }
+        : action;
+    }
+    if (targetType || targetId) {
+      query.targets = { $elemMatch: {} };
+      if (targetType) query.targets.$elemMatch.type = targetType;
+      if (targetId) query.targets.$elemMatch.id = targetId;
+    }
+    if (from || to) {
+      query.created = {};
+      if (from) query.created.$gte = from;
+      if (to) query.created.$lte = to;
+    }
+
+    const [entries, total] = await Promise.all([
+      this.AuditLog.find(query)
+        .sort({ created: -1 })
+        .skip(offset)
+        .limit(limit)
+        .lean(),
+      this.AuditLog.countDocuments(query)
+    ]);
+
+    return { entries, total };
+  }
+}
+
+module.exports = new AuditService();
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// ============================================
+// END-TO-END FILE CHECKSUMS
+// ============================================
+// Clients may declare the SHA-256 of their file in /init or /prepare.
+// The completed upload is hashed and compared with the claim; the digest
+// is stored on the video and checked again before the file goes to IPFS.
+
+/**
+ * Build an error carrying the HTTP status and code to report
+ */
+const checksumError = (message, details) => {
+  const error = new Error(message);
+  error.statusCode = 422;
+  error.code = 'CHECKSUM_MISMATCH';
+  error.details = details;
+  return error;
+};
+
+class ChecksumService {
+  /**
+   * Normalize a client-supplied digest (null if absent)
+   */
+  normalize(sha256) {
+    return sha256 ? String(sha256).trim().toLowerCase() : null;
+  }
+
+  /**
+   * Hash a file
+   * @param {string} filePath - File to hash
+   * @returns {Promise<string>} Hex SHA-256 digest
+   */
+  sha256File(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      fs.createReadStream(filePath)
+        .on('error', reject)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')));
+    });
+  }
+
+  /**
+   * Hash a file and compare it with an expected digest
+   * @param {string} filePath - File to hash
+   * @param {string|null} expected - Expected digest (skips the comparison when empty)
+   * @returns {Promise<string>} Actual digest
+   * @throws {Error} 422 CHECKSUM_MISMATCH
+   */
+  async verify(filePath, expected) {
+    const actual = await this.sha256File(filePath);
+    const normalized = this.normalize(expected);
+
+    if (normalized && normalized !== actual) {
+      throw checksumError('File checksum does not match the declared SHA-256', {
+        expected: normalized,
+        actual
+      });
+    }
+
+    return actual;
+  }
+}
+
+module.exports = new ChecksumService();
@@ -1,5 +1,9 @@
 const cron = require('node-cron');
+const fs = require('fs');
 const ipfsService = require('./ipfs');
+const jobService = require('./job');
+const tusService = require('./tus');
+const ingestQueueService = require('./ingest-queue');
 
 class CleanupService {
   constructor() {
@@ -37,6 +41,7 @@ class CleanupService {
       try {
         await this.performCleanup();
         await this.cleanupOrphanedUploads();
+        await tusService.removeExpiredUploads();
       } catch (error) {
         console.error('❌ Scheduled cleanup failed:', error);
       }
@@ -192,6 +197,83 @@ class CleanupService {
     }
   }
 
+  /**
+   * Release what a deleted video still holds: its queued ingest, its encoding
+   * job, the pinned source file and any temp files. Each step is best effort -
+   * the video is already deleted, a leftover is only wasted storage.
+   * @param {Object} video - Video document (already soft-deleted)
+   * @returns {Promise<{ingest_cancelled: boolean, job_cancelled: boolean, unpinned: string|null, files_removed: number}>}
+   */
+  async releaseVideo(video) {
+    const label = `${video.owner}/${video.permlink}`;
+    const result = { ingest_cancelled: false, job_cancelled: false, unpinned: null, files_removed: 0 };
+    const tempFiles = new Set([video.local_filename]);
+
+    try {
+      const task = await ingestQueueService.cancel(video._id, 'Video deleted');
+      if (task) {
+        result.ingest_cancelled = task.status === 'failed' && task.last_error_code === 'CANCELLED';
+        if (task.status !== 'processing') tempFiles.add(task.file_path); // A running ingest removes its own file
+      }
+    } catch (error) {
+      console.warn(`⚠️ Failed to cancel ingest for ${label}: ${error.message}`);
+    }
+
+    if (video.job_id) {
+      try {
+        await jobService.cancelJob(video.job_id);
+        result.job_cancelled = true;
+      } catch (error) {
+        console.warn(`⚠️ Encoding job ${video.job_id} of ${label} not cancelled: ${error.message}`);
+      }
+    }
+
+    if (video.filename && video.filename.startsWith('ipfs://')) {
+      const ipfsHash = video.filename.replace('ipfs://', '');
+      if (await this._isSourceShared(video)) {
+        console.log(`📌 Keeping ${ipfsHash} pinned: another video uses the same source`);
+      } else if (await ipfsService.unpinFromFallback(ipfsHash)) {
+        result.unpinned = ipfsHash;
+        video.cleanup_eligible = true;
+      }
+    }
+
+    for (const filePath of tempFiles) {
+      if (!filePath || !fs.existsSync(filePath)) continue;
+      try {
+        await fs.promises.rm(filePath, { force: true });
+        result.files_removed++;
+        console.log(`🗑️ Deleted temp file: ${filePath}`);
+      } catch (error) {
+        console.warn(`⚠️ Failed to delete temp file ${filePath}: ${error.message}`);
+      }
+    }
+
+    video.local_filename = null;
+    await video.save();
+
+    console.log(`✅ Released ${label}: ingest ${result.ingest_cancelled ? 'cancelled' : '-'}, job ${result.job_cancelled ? 'cancelled' : '-'}, unpinned ${result.unpinned || '-'}, ${result.files_removed} file(s)`);
+    return result;
+  }
+
+  /**
+   * Whether another live video depends on this video's source pin - the same
+   * CID, or the same content (a force_new re-upload, possibly still ingesting)
+   * @private
+   */
+  async _isSourceShared(video) {
+    const sameSource = [{ filename: video.filename }];
+    if (video.sha256) {
+      sameSource.push({ sha256: video.sha256, status: { $nin: ['failed', 'quarantined'] } });
+    }
+
+    return Boolean(await this.Video.exists({
+      _id: { $ne: video._id },
+      deleted: { $ne: true },
+      $or: sameSource
+    }));
+  }
+
   /**
    * Clean up orphaned temporary uploads (upload-first flow)
    * Removes uploads that expired without being finalized
@@ -210,7 +292,6 @@ class CleanupService {
 
       let cleaned = 0;
       let errors = 0;
-      const fs = require('fs');
 
       for (const upload of orphaned) {
         try {
@@ -240,6 +321,41 @@ class CleanupService {
     }
   }
 
+  /**
+   * Remove every unfinalized upload of an owner (e.g. when they are banned)
+   * @param {string} owner - Hive username
+   * @returns {Promise<{cleaned: number, errors: number, upload_ids: string[]}>}
+   */
+  async cancelPendingUploads(owner) {
+    const TempUpload = require('../models/TempUpload')();
+    const pending = await TempUpload.find({ owner, finalized: false });
+
+    let cleaned = 0;
+    let errors = 0;
+    const uploadIds = [];
+
+    for (const upload of pending) {
+      try {
+        if (upload.tus_file_path && fs.existsSync(upload.tus_file_path)) {
+          fs.unlinkSync(upload.tus_file_path);
+        }
+
+        await TempUpload.deleteOne({ _id: upload._id });
+        uploadIds.push(upload.upload_id);
+        cleaned++;
+      } catch (error) {
+        console.error(`❌ Failed to cancel upload ${upload.upload_id}:`, error.message);
+        errors++;
+      }
+    }
+
+    if (pending.length > 0) {
+      console.log(`🛑 Cancelled ${cleaned} pending upload(s) for ${owner} (${errors} errors)`);
+    }
+
+    return { cleaned, errors, upload_ids: uploadIds };
+  }
+
   /**
    * Get cleanup statistics
    * @returns {Promise<Object>} Cleanup stats
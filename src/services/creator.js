@@ -0,0 +1,128 @@
+const jobService = require('./job');
+const cleanupService = require('./cleanup');
+const ingestQueueService = require('./ingest-queue');
+
+// Fields admins may change through /api/admin/creators
+const EDITABLE_FIELDS = ['banned', 'canUpload', 'limit', 'verified'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class CreatorService {
+  constructor() {
+    // Lazy load models to avoid circular dependencies
+    this._ContentCreator = null;
+    this._Video = null;
+  }
+
+  get ContentCreator() {
+    if (!this._ContentCreator) {
+      this._ContentCreator = require('../models/ContentCreator')();
+    }
+    return this._ContentCreator;
+  }
+
+  get Video() {
+    if (!this._Video) {
+      this._Video = require('../models/Video')();
+    }
+    return this._Video;
+  }
+
+  get editableFields() {
+    return EDITABLE_FIELDS;
+  }
+
+  /**
+   * Search creators
+   * @param {Object} filters - { q (username prefix), banned, canUpload, verified, limit, offset }
+   * @returns {Promise<{creators: Array, total: number}>}
+   */
+  async search({ q, banned, canUpload, verified, limit = 20, offset = 0 } = {}) {
+    const query = {};
+    if (q) query.username = { $regex: `^${escapeRegex(q)}` };
+    if (banned !== undefined) query.banned = banned;
+    if (canUpload !== undefined) query.canUpload = canUpload;
+    if (verified !== undefined) query.verified = verified;
+
+    const [creators, total] = await Promise.all([
+      this.ContentCreator.find(query)
+        .sort({ username: 1 })
+        .skip(offset)
+        .limit(limit)
+        .lean(),
+      this.ContentCreator.countDocuments(query)
+    ]);
+
+    return { creators, total };
+  }
+
+  /**
+   * Find a creator by username
+   * @param {string} username - Hive username
+   * @returns {Promise<Object|null>} ContentCreator document
+   */
+  async findByUsername(username) {
+    return this.ContentCreator.findOne({ username });
+  }
+
+  /**
+   * Update moderation fields of a creator
+   * @param {string} username - Hive username
+   * @param {Object} changes - Subset of EDITABLE_FIELDS
+   * @returns {Promise<{creator: Object, before: Object, after: Object}|null>} Null if not found
+   */
+  async update(username, changes) {
+    const creator = await this.findByUsername(username);
+    if (!creator) {
+      return null;
+    }
+
+    const before = {};
+    const after = {};
+
+    for (const field of EDITABLE_FIELDS) {
+      if (changes[field] === undefined || creator[field] === changes[field]) continue;
+
+      before[field] = creator[field];
+      after[field] = changes[field];
+      creator[field] = changes[field];
+    }
+
+    if (Object.keys(after).length > 0) {
+      await creator.save();
+      console.log(`👮 Creator ${username} updated: ${JSON.stringify(after)}`);
+    }
+
+    return { creator, before, after };
+  }
+
+  /**
+   * Cancel a creator's in-flight work
+   * Removes unfinalized TempUploads, cancels queued ingests (before they are
+   * pinned and get an encoding job) and queued encoding jobs; videos of
+   * cancelled ingests and jobs are marked failed.
+   * @param {string} username - Hive username
+   * @returns {Promise<{uploads: Object, ingests: string[], jobs: string[]}>}
+   */
+  async cancelInFlight(username) {
+    const uploads = await cleanupService.cancelPendingUploads(username);
+    const ingests = await ingestQueueService.cancelForOwner(username, 'Creator can no longer upload');
+    const jobs = await jobService.cancelQueuedJobsForOwner(username);
+
+    const permlinks = jobs.map(job => job.metadata.video_permlink).filter(Boolean);
+    if (permlinks.length > 0) {
+      await this.Video.updateMany(
+        { owner: username, permlink: { $in: permlinks } },
+        { status: 'failed' }
+      );
+    }
+
+    return {
+      uploads,
+      ingests: ingests.map(task => task.video_id),
+      jobs: jobs.map(job => job.id)
+    };
+  }
+}
+
+module.exports = new CreatorService();
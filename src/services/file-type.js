@@ -0,0 +1,260 @@
+const fs = require('fs');
+
+// ============================================
+// CONTENT-TYPE SNIFFING & CONTAINER VALIDATION
+// ============================================
+// Identifies uploads by their magic bytes (never by file name or the
+// client's content type) and checks that the container structure is
+// intact, before anything is pinned to IPFS or queued for encoding.
+//
+// Accepted containers: MP4/M4V, MOV, 3GP, MKV, WebM, AVI, FLV, MPEG-TS,
+// MPEG-PS, Ogg, ASF/WMV. Files that fail are quarantined by the caller.
+
+const HEADER_BYTES = 4096;
+const MAX_TOP_LEVEL_BOXES = 10000;
+
+// ISO base media top-level boxes that may start a file without "ftyp" (old QuickTime)
+const QUICKTIME_LEADING_BOXES = ['moov', 'mdat', 'wide', 'free', 'skip', 'pnot'];
+
+const EBML_MAGIC = Buffer.from([0x1a, 0x45, 0xdf, 0xa3]);
+const EBML_DOCTYPE_ID = 0x4282;
+const MATROSKA_SEGMENT_ID = 0x18538067;
+const ASF_MAGIC = Buffer.from([0x30, 0x26, 0xb2, 0x75, 0x8e, 0x66, 0xcf, 0x11]);
+const TS_PACKET_SIZE = 188;
+
+/**
+ * Build an error carrying the HTTP status, code and detected type
+ */
+const fileTypeError = (message, detected = null) => {
+  const error = new Error(message);
+  error.statusCode = 422;
+  error.code = 'INVALID_CONTAINER';
+  error.details = { detected };
+  return error;
+};
+
+/**
+ * Read an EBML variable-length integer
+ * @returns {{length: number, value: number}|null} value keeps the marker bit when raw (element IDs)
+ */
+const readVint = (buffer, offset, raw = false) => {
+  const first = buffer[offset];
+  if (first === undefined || first === 0) return null;
+
+  let length = 1;
+  while (length <= 8 && !(first & (0x80 >> (length - 1)))) {
+    length++;
+  }
+  if (offset + length > buffer.length) return null;
+
+  let value = raw ? first : first & (0xff >> length);
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + buffer[offset + i];
+  }
+  return { length, value };
+};
+
+/**
+ * Recognize well-known non-video files, for a clearer rejection reason
+ */
+const describeForeign = (header) => {
+  const ascii = header.toString('latin1', 0, 8);
+  if (ascii.startsWith('PK\x03\x04')) return 'zip';
+  if (ascii.startsWith('MZ')) return 'windows-executable';
+  if (ascii.startsWith('\x7fELF')) return 'elf-executable';
+  if (ascii.startsWith('%PDF')) return 'pdf';
+  if (ascii.startsWith('Rar!')) return 'rar';
+  if (ascii.startsWith('7z\xbc\xaf')) return '7z';
+  if (header[0] === 0x1f && header[1] === 0x8b) return 'gzip';
+  if (ascii.startsWith('#!')) return 'script';
+  if (ascii.startsWith('\x89PNG') || header[0] === 0xff && header[1] === 0xd8) return 'image';
+  return null;
+};
+
+class FileTypeService {
+  /**
+   * Identify a file's container from its magic bytes
+   * @param {Buffer} header - First bytes of the file
+   * @returns {string|null} Container name or null if unknown
+   */
+  sniff(header) {
+    if (header.length < 12) return null;
+
+    const boxType = header.toString('latin1', 4, 8);
+    if (boxType === 'ftyp') {
+      const brand = header.toString('latin1', 8, 12);
+      if (brand === 'qt  ') return 'mov';
+      if (brand.startsWith('3g')) return '3gp';
+      return 'mp4';
+    }
+    if (QUICKTIME_LEADING_BOXES.includes(boxType)) return 'mov';
+
+    if (header.subarray(0, 4).equals(EBML_MAGIC)) {
+      return this._ebmlDocType(header) === 'webm' ? 'webm' : 'mkv';
+    }
+
+    const ascii = header.toString('latin1', 0, 12);
+    if (ascii.startsWith('RIFF') && ascii.slice(8, 12) === 'AVI ') return 'avi';
+    if (ascii.startsWith('FLV\x01')) return 'flv';
+    if (ascii.startsWith('OggS')) return 'ogg';
+    if (header.subarray(0, 8).equals(ASF_MAGIC)) return 'asf';
+    if (header[0] === 0x00 && header[1] === 0x00 && header[2] === 0x01 && header[3] === 0xba) return 'mpegps';
+
+    // Transport streams have a sync byte every 188 bytes
+    if (header.length >= TS_PACKET_SIZE * 3 &&
+        [0, 1, 2].every(packet => header[packet * TS_PACKET_SIZE] === 0x47)) {
+      return 'mpegts';
+    }
+
+    return null;
+  }
+
+  /**
+   * Check that a file is a supported, structurally sound video container
+   * @param {string} filePath - Path of the uploaded file
+   * @returns {Promise<{container: string}>}
+   * @throws {Error} 422 INVALID_CONTAINER with details.detected
+   */
+  async validate(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+      const { size } = await handle.stat();
+      const header = Buffer.alloc(Math.min(HEADER_BYTES, size));
+      await handle.read(header, 0, header.length, 0);
+
+      const container = this.sniff(header);
+      if (!container) {
+        const foreign = describeForeign(header);
+        throw fileTypeError(
+          foreign
+            ? `Not a video file (detected: ${foreign})`
+            : 'Not a video file (unrecognized format)',
+          foreign
+        );
+      }
+
+      if (['mp4', 'mov', '3gp'].includes(container)) {
+        await this._validateIsoBmff(handle, size, container);
+      } else if (container === 'mkv' || container === 'webm') {
+        this._validateEbml(header, container);
+      } else if (container === 'avi') {
+        this._validateRiff(header, size);
+      }
+
+      return { container };
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Walk the top-level boxes: they must tile the file and include the
+   * movie header and media data (truncated uploads fail here)
+   * @private
+   */
+  async _validateIsoBmff(handle, fileSize, container) {
+    const seen = new Set();
+    const boxHeader = Buffer.alloc(16);
+    let offset = 0;
+
+    for (let count = 0; offset < fileSize; count++) {
+      if (count >= MAX_TOP_LEVEL_BOXES) {
+        throw fileTypeError(`Invalid ${container} container: too many top-level boxes`, container);
+      }
+
+      const { bytesRead } = await handle.read(boxHeader, 0, 16, offset);
+      if (bytesRead < 8) {
+        throw fileTypeError(`Invalid ${container} container: truncated box header`, container);
+      }
+
+      let boxSize = boxHeader.readUInt32BE(0);
+      const type = boxHeader.toString('latin1', 4, 8);
+      let headerSize = 8;
+
+      if (boxSize === 1) {
+        if (bytesRead < 16) {
+          throw fileTypeError(`Invalid ${container} container: truncated box header`, container);
+        }
+        boxSize = Number(boxHeader.readBigUInt64BE(8));
+        headerSize = 16;
+      } else if (boxSize === 0) {
+        boxSize = fileSize - offset; // Box runs to the end of the file
+      }
+
+      if (boxSize < headerSize || offset + boxSize > fileSize) {
+        throw fileTypeError(`Invalid ${container} container: box "${type}" overruns the file (truncated upload?)`, container);
+      }
+
+      seen.add(type);
+      offset += boxSize;
+    }
+
+    if (!seen.has('moov')) {
+      throw fileTypeError(`Invalid ${container} container: no movie header (moov)`, container);
+    }
+    if (!seen.has('mdat') && !seen.has('moof')) {
+      throw fileTypeError(`Invalid ${container} container: no media data (mdat)`, container);
+    }
+  }
+
+  /**
+   * Read the DocType of an EBML header ("matroska", "webm")
+   * @private
+   */
+  _ebmlDocType(header) {
+    const headerSize = readVint(header, 4);
+    if (!headerSize) return null;
+
+    let offset = 4 + headerSize.length;
+    const end = Math.min(offset + headerSize.value, header.length);
+
+    while (offset < end) {
+      const id = readVint(header, offset, true);
+      if (!id) return null;
+      const size = readVint(header, offset + id.length);
+      if (!size) return null;
+
+      const dataStart = offset + id.length + size.length;
+      if (id.value === EBML_DOCTYPE_ID) {
+        return header.toString('latin1', dataStart, Math.min(dataStart + size.value, header.length)).replace(/\0+$/, '');
+      }
+      offset = dataStart + size.value;
+    }
+
+    return null;
+  }
+
+  /**
+   * EBML header must declare a Matroska DocType and be followed by a Segment
+   * @private
+   */
+  _validateEbml(header, container) {
+    const docType = this._ebmlDocType(header);
+    if (docType !== 'matroska' && docType !== 'webm') {
+      throw fileTypeError(`Invalid ${container} container: unsupported EBML document type "${docType}"`, container);
+    }
+
+    const headerSize = readVint(header, 4);
+    const segmentOffset = 4 + headerSize.length + headerSize.value;
+    const segment = readVint(header, segmentOffset, true);
+    if (!segment || segment.value !== MATROSKA_SEGMENT_ID) {
+      throw fileTypeError(`Invalid ${container} container: no Segment after the EBML header`, container);
+    }
+  }
+
+  /**
+   * RIFF size must fit the file and the first chunk must be the AVI header list
+   * @private
+   */
+  _validateRiff(header, fileSize) {
+    const riffSize = header.readUInt32LE(4);
+    if (riffSize + 8 > fileSize) {
+      throw fileTypeError('Invalid avi container: RIFF size exceeds the file (truncated upload?)', 'avi');
+    }
+    if (header.toString('latin1', 12, 16) !== 'LIST' || header.toString('latin1', 20, 24) !== 'hdrl') {
+      throw fileTypeError('Invalid avi container: missing AVI header list', 'avi');
+    }
+  }
+}
+
+module.exports = new FileTypeService();
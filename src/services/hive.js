@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const { Client, Signature, PublicKey, cryptoUtils } = require('@hiveio/dhive');
+
+class HiveService {
+  constructor() {
+    // Hive API nodes (same set the demo frontend is allowed to reach)
+    this.apiNodes = (process.env.HIVE_API_NODES || 'https://api.hive.blog,https://api.openhive.network,https://anyx.io')
+      .split(',')
+      .map(node => node.trim())
+      .filter(Boolean);
+
+    // How long a client has to sign a challenge
+    this.challengeTtlSeconds = parseInt(process.env.HIVE_AUTH_CHALLENGE_TTL) || 300; // 5 minutes
+
+    // Pluggable public key lookup (swap for a local stub in tests/dev)
+    this.publicKeyResolver = null;
+
+    // Lazy load client and models to avoid circular dependencies
+    this._client = null;
+    this._AuthChallenge = null;
+  }
+
+  get client() {
+    if (!this._client) {
+      this._client = new Client(this.apiNodes, { timeout: 10000, failoverThreshold: 2 });
+    }
+    return this._client;
+  }
+
+  get AuthChallenge() {
+    if (!this._AuthChallenge) {
+      this._AuthChallenge = require('../models/AuthChallenge')();
+    }
+    return this._AuthChallenge;
+  }
+
+  /**
+   * Replace the posting public key resolver
+   * @param {Function|null} resolver - async (username) => string[] of public keys, or null to restore the Hive node lookup
+   */
+  setPublicKeyResolver(resolver) {
+    if (resolver !== null && typeof resolver !== 'function') {
+      throw new Error('Public key resolver must be a function');
+    }
+    this.publicKeyResolver = resolver;
+  }
+
+  /**
+   * Get posting public keys for an account
+   * @param {string} username - Hive account name
+   * @returns {Promise<string[]>} Public keys in STM... format
+   */
+  async getPostingKeys(username) {
+    if (this.publicKeyResolver) {
+      return this.publicKeyResolver(username);
+    }
+
+    const [account] = await this.client.database.getAccounts([username]);
+    if (!account) {
+      return [];
+    }
+
+    return account.posting.key_auths.map(([key]) => key.toString());
+  }
+
+  /**
+   * Build the message a user must sign with their posting key
+   * @param {string} username - Hive account name
+   * @param {string} nonce - Random challenge nonce
+   * @returns {string}
+   */
+  buildChallengeMessage(username, nonce) {
+    return `3Speak Upload Service login for @${username} - nonce: ${nonce}`;
+  }
+
+  /**
+   * Verify a Keychain signBuffer signature against the account's posting keys
+   * @param {string} username - Hive account name
+   * @param {string} message - Message that was signed
+   * @param {string} signature - Hex encoded compact signature
+   * @returns {Promise<{valid: boolean, reason?: string}>}
+   */
+  async verifySignature(username, message, signature) {
+    let recoveredKey;
+    try {
+      const digest = cryptoUtils.sha256(message);
+      recoveredKey = Signature.fromString(signature).recover(digest);
+    } catch (error) {
+      return { valid: false, reason: 'Malformed signature' };
+    }
+
+    let postingKeys;
+    try {
+      postingKeys = await this.getPostingKeys(username);
+    } catch (error) {
+      console.error(`❌ Failed to resolve posting keys for ${username}:`, error.message);
+      return { valid: false, reason: 'Unable to resolve account keys' };
+    }
+
+    if (!postingKeys || postingKeys.length === 0) {
+      return { valid: false, reason: 'Hive account not found' };
+    }
+
+    const recovered = recoveredKey.toString();
+    const matches = postingKeys.some(key => {
+      try {
+        return PublicKey.fromString(key).toString() === recovered;
+      } catch (error) {
+        return false;
+      }
+    });
+
+    return matches
+      ? { valid: true }
+      : { valid: false, reason: 'Signature does not match posting key' };
+  }
+
+  /**
+   * Issue a new login challenge
+   * @param {string} username - Hive account name
+   * @returns {Promise<{challenge_id: string, message: string, expires: Date}>}
+   */
+  async issueChallenge(username) {
+    const challengeId = crypto.randomBytes(16).toString('hex');
+    const message = this.buildChallengeMessage(username, challengeId);
+
+    const challenge = await this.AuthChallenge.create({
+      challenge_id: challengeId,
+      username,
+      message,
+      expires: new Date(Date.now() + this.challengeTtlSeconds * 1000)
+    });
+
+    return {
+      challenge_id: challenge.challenge_id,
+      message: challenge.message,
+      expires: challenge.expires
+    };
+  }
+
+  /**
+   * Verify a signed challenge
+   * Challenges are single-use: a successful verification consumes it.
+   * @param {string} username - Hive account name
+   * @param {string} challengeId - Challenge ID from issueChallenge
+   * @param {string} signature - Hex encoded signature of the challenge message
+   * @returns {Promise<{valid: boolean, reason?: string}>}
+   */
+  async verifyChallenge(username, challengeId, signature) {
+    if (!challengeId || !signature) {
+      return { valid: false, reason: 'Challenge and signature are required' };
+    }
+
+    const challenge = await this.AuthChallenge.findOne({ challenge_id: challengeId, username });
+
+    if (!challenge || challenge.isExpired()) {
+      return { valid: false, reason: 'Challenge not found or expired' };
+    }
+
+    if (challenge.verified) {
+      return { valid: false, reason: 'Challenge already used' };
+    }
+
+    const result = await this.verifySignature(username, challenge.message, signature);
+    if (!result.valid) {
+      return result;
+    }
+
+    // Atomically consume the challenge so it can't be replayed in parallel
+    const consumed = await this.AuthChallenge.findOneAndUpdate(
+      { challenge_id: challengeId, verified: false },
+      { verified: true, verified_at: new Date() },
+      { new: true }
+    );
+
+    if (!consumed) {
+      return { valid: false, reason: 'Challenge already used' };
+    }
+
+    console.log(`🔐 Hive signature verified for ${username}`);
+
+    return { valid: true };
+  }
+}
+
+module.exports = new HiveService();
@@ -0,0 +1,355 @@
+const fs = require('fs');
+const os = require('os');
+const ingestService = require('./ingest');
+
+/**
+ * Build an error that should not be retried
+ */
+const permanentError = (message) => {
+  const error = new Error(message);
+  error.permanent = true;
+  return error;
+};
+
+/**
+ * Remove a temp upload file (zero local storage!)
+ */
+const removeTempFile = (filePath) => {
+  try {
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+      console.log(`🗑️ Cleaned up temp file: ${filePath}`);
+    }
+  } catch (cleanupError) {
+    console.warn(`⚠️ Failed to cleanup temp file: ${cleanupError.message}`);
+  }
+};
+
+class IngestQueueService {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.concurrency = parseInt(process.env.INGEST_CONCURRENCY) || 2;
+    this.maxAttempts = parseInt(process.env.INGEST_MAX_ATTEMPTS) || 5;
+    this.retryBaseMs = parseInt(process.env.INGEST_RETRY_BASE_MS) || 30 * 1000; // 30s, doubled per attempt
+    this.retryMaxMs = parseInt(process.env.INGEST_RETRY_MAX_MS) || 30 * 60 * 1000; // 30 min
+    this.pollIntervalMs = parseInt(process.env.INGEST_POLL_INTERVAL_MS) || 5000;
+    // Longer than the slowest IPFS upload (supernode timeout is 30 min)
+    this.lockTimeoutMs = parseInt(process.env.INGEST_LOCK_TIMEOUT_MS) || 45 * 60 * 1000;
+
+    this.active = 0;
+    this.filling = false;
+    this.timer = null;
+
+    // Lazy load models to avoid circular dependencies
+    this._IngestTask = null;
+    this._Video = null;
+  }
+
+  get IngestTask() {
+    if (!this._IngestTask) {
+      this._IngestTask = require('../models/IngestTask')();
+    }
+    return this._IngestTask;
+  }
+
+  get Video() {
+    if (!this._Video) {
+      this._Video = require('../models/Video')();
+    }
+    return this._Video;
+  }
+
+  // ============================================
+  // PRODUCER
+  // ============================================
+
+  /**
+   * Queue a finished upload for ingest
+   * A video has at most one task: repeated calls (e.g. retried hooks) return
+   * the existing task, and a failed task is requeued with the new file.
+   * @param {Object} options - { video, filePath, source ('tus'|'finalize') }
+   * @returns {Promise<Object>} IngestTask document
+   */
+  async enqueue({ video, filePath, source }) {
+    const now = new Date();
+    const videoId = video._id.toString();
+
+    let task = await this.IngestTask.findOneAndUpdate(
+      { video_id: videoId, status: 'failed' },
+      {
+        $set: {
+          status: 'queued',
+          file_path: filePath,
+          source,
+          attempts: 0,
+          next_attempt_at: now,
+          last_error: null,
+          last_error_code: null,
+          updated: now
+        }
+      },
+      { new: true }
+    );
+
+    if (!task) {
+      try {
+        task = await this.IngestTask.create({
+          video_id: videoId,
+          owner: video.owner,
+          permlink: video.permlink,
+          file_path: filePath,
+          source,
+          max_attempts: this.maxAttempts
+        });
+        console.log(`📥 Ingest queued for ${video.owner}/${video.permlink} (${source})`);
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        task = await this.IngestTask.findOne({ video_id: videoId });
+        console.log(`⚠️ Ingest already ${task.status} for ${video.owner}/${video.permlink}`);
+      }
+    }
+
+    this.kick();
+    return task;
+  }
+
+  /**
+   * Stop a video's queued ingest (e.g. the video was deleted). A task that is
+   * already processing finishes its attempt - ingest refuses deleted videos.
+   * @param {string} videoId - Video ID
+   * @param {string} reason - Recorded as the task's last error
+   * @returns {Promise<Object|null>} The task or null if never queued
+   */
+  async cancel(videoId, reason) {
+    const task = await this.IngestTask.findOneAndUpdate(
+      { video_id: String(videoId), status: 'queued' },
+      { $set: { status: 'failed', last_error: reason, last_error_code: 'CANCELLED', updated: new Date() } },
+      { new: true }
+    );
+    if (task) {
+      console.log(`🛑 Ingest cancelled for ${task.owner}/${task.permlink}`);
+      return task;
+    }
+    return this.IngestTask.findOne({ video_id: String(videoId) });
+  }
+
+  /**
+   * Stop every queued (or waiting to retry) ingest of an owner, e.g. when
+   * they are banned. Their videos are marked failed and the temp files
+   * removed; tasks already processing finish their attempt.
+   * @param {string} owner - Video owner
+   * @param {string} reason - Recorded as each task's last error
+   * @returns {Promise<Array>} Cancelled tasks
+   */
+  async cancelForOwner(owner, reason) {
+    const tasks = await this.IngestTask.find({ owner, status: 'queued' });
+    const cancelled = [];
+
+    for (const task of tasks) {
+      // A worker may claim it between the find and the update
+      const claimed = await this.IngestTask.findOneAndUpdate(
+        { _id: task._id, status: 'queued' },
+        { $set: { status: 'failed', last_error: reason, last_error_code: 'CANCELLED', updated: new Date() } },
+        { new: true }
+      );
+      if (!claimed) continue;
+
+      await this._failVideo(claimed);
+      cancelled.push(claimed);
+    }
+
+    if (cancelled.length > 0) {
+      console.log(`🛑 Cancelled ${cancelled.length} queued ingest(s) for ${owner}`);
+    }
+    return cancelled;
+  }
+
+  /**
+   * Queue state of a video's ingest
+   * @param {string} videoId - Video ID
+   * @returns {Promise<Object|null>} Public task info or null if never queued
+   */
+  async getStatusForVideo(videoId) {
+    const task = await this.IngestTask.findOne({ video_id: String(videoId) });
+    return task ? task.toPublicJSON() : null;
+  }
+
+  /**
+   * Task counts by status plus this instance's worker load
+   * @returns {Promise<Object>}
+   */
+  async getStats() {
+    const counts = await this.IngestTask.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    const byStatus = { queued: 0, processing: 0, completed: 0, failed: 0 };
+    counts.forEach(({ _id, count }) => {
+      byStatus[_id] = count;
+    });
+
+    return {
+      byStatus,
+      active: this.active,
+      concurrency: this.concurrency,
+      worker: this.workerId
+    };
+  }
+
+  // ============================================
+  // WORKER POOL
+  // ============================================
+
+  /**
+   * Start polling for tasks
+   */
+  start() {
+    if (this.timer) {
+      console.log('⚠️ Ingest workers are already running');
+      return;
+    }
+
+    this.timer = setInterval(() => this.kick(), this.pollIntervalMs);
+    console.log(`✅ Ingest workers started (concurrency: ${this.concurrency}, worker: ${this.workerId})`);
+    this.kick();
+  }
+
+  /**
+   * Stop polling (tasks in progress finish or are reclaimed after the lock timeout)
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log('🛑 Ingest workers stopped');
+    }
+  }
+
+  /**
+   * Claim tasks until the pool is full or the queue is empty
+   */
+  async kick() {
+    if (!this.timer || this.filling) return;
+
+    this.filling = true;
+    try {
+      while (this.active < this.concurrency) {
+        const task = await this._claimNext();
+        if (!task) break;
+
+        this.active++;
+        this._process(task)
+          .catch(error => console.error(`❌ Ingest worker error (${task.video_id}):`, error))
+          .finally(() => {
+            this.active--;
+            this.kick();
+          });
+      }
+    } catch (error) {
+      console.error('❌ Failed to claim ingest task:', error.message);
+    } finally {
+      this.filling = false;
+    }
+  }
+
+  /**
+   * Atomically claim the next due task (or one whose worker died)
+   */
+  async _claimNext() {
+    const now = new Date();
+
+    return this.IngestTask.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'queued', next_attempt_at: { $lte: now } },
+          { status: 'processing', locked_at: { $lt: new Date(now.getTime() - this.lockTimeoutMs) } }
+        ]
+      },
+      {
+        $set: { status: 'processing', locked_by: this.workerId, locked_at: now, updated: now },
+        $inc: { attempts: 1 }
+      },
+      { sort: { next_attempt_at: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Exponential backoff for the given attempt number
+   */
+  backoff(attempts) {
+    return Math.min(this.retryBaseMs * Math.pow(2, attempts - 1), this.retryMaxMs);
+  }
+
+  /**
+   * Run one task and record the outcome
+   */
+  async _process(task) {
+    const label = `${task.owner}/${task.permlink}`;
+    console.log(`⚙️ Ingesting ${label} (attempt ${task.attempts}/${task.max_attempts})`);
+
+    try {
+      if (task.attempts > task.max_attempts) {
+        throw permanentError('Exceeded max attempts');
+      }
+
+      const result = await ingestService.ingest({
+        owner: task.owner,
+        permlink: task.permlink,
+        filePath: task.file_path
+      });
+
+      await this._release(task, {
+        status: 'completed',
+        ipfs_hash: result.ipfs_hash,
+        job_id: result.job_id,
+        last_error: null,
+        last_error_code: null,
+        completed_at: new Date()
+      });
+    } catch (error) {
+      // Ingest errors say whether they are worth retrying; anything else
+      // (e.g. a database hiccup) is retried until max attempts
+      const failed = error.permanent || error.retryable === false || task.attempts >= task.max_attempts;
+      const errorCode = typeof error.code === 'string' ? error.code : null;
+
+      if (failed) {
+        console.error(`❌ Ingest failed for ${label}: ${error.message}`);
+        await this._release(task, { status: 'failed', last_error: error.message, last_error_code: errorCode });
+        await this._failVideo(task);
+      } else {
+        const delay = this.backoff(task.attempts);
+        console.warn(`⚠️ Ingest attempt ${task.attempts} failed for ${label}: ${error.message} (retry in ${Math.round(delay / 1000)}s)`);
+        await this._release(task, {
+          status: 'queued',
+          last_error: error.message,
+          last_error_code: errorCode,
+          next_attempt_at: new Date(Date.now() + delay)
+        });
+      }
+    }
+  }
+
+  /**
+   * Update a task we still hold the lock for
+   */
+  async _release(task, update) {
+    await this.IngestTask.updateOne(
+      { _id: task._id, locked_by: this.workerId, locked_at: task.locked_at },
+      { $set: { ...update, locked_by: null, locked_at: null, updated: new Date() } }
+    );
+  }
+
+  /**
+   * Mark the video failed and drop its temp file after the last attempt
+   */
+  async _failVideo(task) {
+    try {
+      await this.Video.updateOne({ _id: task.video_id, status: 'uploaded' }, { status: 'failed' });
+    } catch (error) {
+      console.error(`❌ Failed to mark video ${task.video_id} failed:`, error.message);
+    }
+    removeTempFile(task.file_path);
+  }
+}
+
+module.exports = new IngestQueueService();
@@ -0,0 +1,279 @@
+const fs = require('fs');
+const { v5: uuidv5 } = require('uuid');
+const ipfsService = require('./ipfs');
+const jobService = require('./job');
+const fileTypeService = require('./file-type');
+const checksumService = require('./checksum');
+const thumbnailService = require('./thumbnail');
+
+// ============================================
+// INGEST FAILURE STATES
+// ============================================
+// Every error thrown by ingest() carries one of these codes plus a
+// `retryable` flag, so callers (the ingest queue, future import sources)
+// can decide between retrying and giving up without parsing messages.
+const INGEST_ERRORS = {
+  VIDEO_NOT_FOUND: { retryable: false },
+  VIDEO_DELETED: { retryable: false },
+  FILE_NOT_FOUND: { retryable: false },
+  FILE_QUARANTINED: { retryable: false },
+  CHECKSUM_MISMATCH: { retryable: false },
+  IPFS_UPLOAD_FAILED: { retryable: true },
+  JOB_CREATE_FAILED: { retryable: true },
+  VIDEO_UPDATE_FAILED: { retryable: true }
+};
+
+// Namespace for deterministic encoding job IDs (uuid v5 of "owner/permlink")
+const JOB_ID_NAMESPACE = '6f1c9a52-3e8b-4d71-9b0a-2c5d8e4f7a13';
+
+/**
+ * Build an ingest error with a failure code
+ */
+const ingestError = (code, message, cause = null) => {
+  const error = new Error(message);
+  error.code = code;
+  error.retryable = INGEST_ERRORS[code].retryable;
+  if (cause) {
+    error.cause = cause;
+  }
+  return error;
+};
+
+/**
+ * Remove a temp upload file (zero local storage!)
+ */
+const removeTempFile = (filePath) => {
+  try {
+    if (filePath && fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+      console.log(`🗑️ Cleaned up temp file: ${filePath}`);
+    }
+  } catch (cleanupError) {
+    console.warn(`⚠️ Failed to cleanup temp file: ${cleanupError.message}`);
+  }
+};
+
+class IngestService {
+  constructor() {
+    // Ingests running in this process (owner/permlink -> promise)
+    this.inFlight = new Map();
+
+    // Lazy load models to avoid circular dependencies
+    this._Video = null;
+    this._Job = null;
+  }
+
+  get Video() {
+    if (!this._Video) {
+      this._Video = require('../models/Video')();
+    }
+    return this._Video;
+  }
+
+  get Job() {
+    if (!this._Job) {
+      this._Job = require('../models/Job')();
+    }
+    return this._Job;
+  }
+
+  get errors() {
+    return INGEST_ERRORS;
+  }
+
+  /**
+   * Idempotency key of a video
+   */
+  ingestKey(owner, permlink) {
+    return `${owner}/${permlink}`;
+  }
+
+  /**
+   * Encoding job ID for a video - the same video always gets the same ID,
+   * so two instances racing on one video cannot create two jobs
+   */
+  jobIdFor(owner, permlink) {
+    return uuidv5(this.ingestKey(owner, permlink), JOB_ID_NAMESPACE);
+  }
+
+  /**
+   * Ingest an uploaded file for a video:
+   * container check → checksum check → thumbnail (if none) → IPFS upload → encoding job (or link an existing one) → video update → temp cleanup
+   *
+   * Idempotent per owner/permlink: concurrent calls in this process share one
+   * run, an already ingested video is returned as-is, and an existing job for
+   * the video is linked instead of creating a second one.
+   *
+   * @param {Object} options - { owner, permlink, filePath }
+   * @returns {Promise<Object>} { state ('ingested'|'job_linked'|'already_ingested'), ipfs_hash, job_id }
+   * @throws {Error} With code (see INGEST_ERRORS) and retryable
+   */
+  ingest({ owner, permlink, filePath }) {
+    const key = this.ingestKey(owner, permlink);
+
+    if (this.inFlight.has(key)) {
+      console.log(`⚠️ Ingest already running for ${key} - joining it`);
+      return this.inFlight.get(key);
+    }
+
+    const run = this._ingest(owner, permlink, filePath)
+      .finally(() => this.inFlight.delete(key));
+
+    this.inFlight.set(key, run);
+    return run;
+  }
+
+  async _ingest(owner, permlink, filePath) {
+    const key = this.ingestKey(owner, permlink);
+
+    const video = await this.Video.findOne({ owner, permlink });
+    if (!video) {
+      throw ingestError('VIDEO_NOT_FOUND', `Video not found: ${key}`);
+    }
+
+    if (video.deleted) {
+      removeTempFile(filePath);
+      throw ingestError('VIDEO_DELETED', `Video was deleted: ${key}`);
+    }
+
+    if (video.filename && video.filename.startsWith('ipfs://') && video.job_id) {
+      console.log(`⚠️ Video already processed (hash: ${video.filename}, job: ${video.job_id})`);
+      removeTempFile(filePath);
+      return {
+        state: 'already_ingested',
+        ipfs_hash: video.filename.replace('ipfs://', ''),
+        job_id: video.job_id
+      };
+    }
+
+    if (!filePath || !fs.existsSync(filePath)) {
+      throw ingestError('FILE_NOT_FOUND', 'Upload file not found');
+    }
+
+    // Never pin or encode something that is not a video
+    try {
+      await fileTypeService.validate(filePath);
+    } catch (error) {
+      if (error.code !== 'INVALID_CONTAINER') throw error;
+
+      console.warn(`☣️ Quarantining ${key}: ${error.message}`);
+      try {
+        await video.quarantine(error.message);
+      } catch (saveError) {
+        console.error(`❌ Failed to quarantine ${key}:`, saveError.message);
+      }
+      removeTempFile(filePath);
+      throw ingestError('FILE_QUARANTINED', error.message, error);
+    }
+
+    // The file must still be the one verified at upload completion
+    if (video.sha256) {
+      try {
+        await checksumService.verify(filePath, video.sha256);
+      } catch (error) {
+        if (error.code !== 'CHECKSUM_MISMATCH') throw error;
+        removeTempFile(filePath);
+        throw ingestError('CHECKSUM_MISMATCH', 'Upload file changed since it was verified', error);
+      }
+    }
+
+    if (thumbnailService.needsThumbnail(video) && !(video.thumbnail_candidates && video.thumbnail_candidates.length)) {
+      await this._generateThumbnail(video, filePath);
+    }
+
+    let uploadResult;
+    try {
+      console.log(`⬆️ Uploading to IPFS: ${filePath}`);
+      uploadResult = await ipfsService.uploadFile(filePath);
+    } catch (error) {
+      throw ingestError('IPFS_UPLOAD_FAILED', `IPFS upload failed: ${error.message}`, error);
+    }
+
+    let state = 'ingested';
+    let jobId;
+    try {
+      // LAST SECOND CHECK: Does a job already exist? (Simple duplicate prevention)
+      const existingJob = await this.Job.findOne({
+        'metadata.video_owner': owner,
+        'metadata.video_permlink': permlink
+      });
+
+      if (existingJob) {
+        console.log(`⚠️ Job already exists for ${key}: ${existingJob.id} - Skipping job creation`);
+        state = 'job_linked';
+        jobId = existingJob.id;
+      } else {
+        console.log(`📋 Creating encoding job...`);
+        jobId = await jobService.createEncodingJob(
+          video,
+          uploadResult.hash,
+          video.size,
+          uploadResult.gatewayUrl,
+          this.jobIdFor(owner, permlink)
+        );
+      }
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw ingestError('JOB_CREATE_FAILED', error.message, error);
+      }
+      // Another instance created the job between our check and insert
+      console.log(`⚠️ Job for ${key} was created concurrently - linking it`);
+      state = 'job_linked';
+      jobId = this.jobIdFor(owner, permlink);
+    }
+
+    try {
+      if (state === 'ingested') {
+        video.filename = `ipfs://${uploadResult.hash}`;
+        video.status = 'encoding_ipfs';
+        video.job_id = jobId;
+        video.local_filename = null; // Clear temp path
+        video.fallback_mode = uploadResult.fallbackMode;
+        video.cleanup_eligible = false; // Not eligible until published
+      } else {
+        if (!video.job_id) {
+          video.job_id = jobId;
+        }
+        if (!video.filename) {
+          video.filename = `ipfs://${uploadResult.hash}`;
+        }
+      }
+
+      await video.save();
+    } catch (error) {
+      throw ingestError('VIDEO_UPDATE_FAILED', `Video update failed: ${error.message}`, error);
+    }
+
+    removeTempFile(filePath);
+
+    console.log(`✅ Ingest ${state}: ${key} → ipfs://${uploadResult.hash} (job: ${jobId})`);
+    return { state, ipfs_hash: uploadResult.hash, job_id: jobId };
+  }
+
+  /**
+   * Best effort: give a video uploaded without thumbnail a generated one.
+   * Failures (no ffmpeg, unreadable frames) keep the default thumbnail.
+   */
+  async _generateThumbnail(video, filePath) {
+    const key = this.ingestKey(video.owner, video.permlink);
+
+    try {
+      const candidates = await thumbnailService.generateCandidates(filePath, video.duration);
+      if (candidates.length === 0) {
+        console.warn(`⚠️ No thumbnail candidates for ${key} - keeping the default`);
+        return;
+      }
+
+      video.thumbnail = candidates[0].uri;
+      video.thumbnail_small = candidates[0].small_uri;
+      video.thumbnail_candidates = candidates;
+      await video.save();
+
+      console.log(`🖼️ Generated thumbnail for ${key}: ${video.thumbnail} (${candidates.length} candidate(s))`);
+    } catch (error) {
+      console.warn(`⚠️ Thumbnail generation failed for ${key}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new IngestService();
@@ -227,37 +227,6 @@ class IPFSService {
     return this.uploadFile(filePath);
   }
 
-  /**
-   * Upload base64 thumbnail
-   * @param {string} base64Data - Base64 encoded image data (with data:image/... prefix)
-   * @returns {Promise<{hash: string, fallbackMode: boolean, gatewayUrl: string}>}
-   */
-  async uploadThumbnailBase64(base64Data) {
-    // Parse base64 data
-    const matches = base64Data.match(/^data:image\/([a-z]+);base64,(.+)$/);
-    if (!matches) {
-      throw new Error('Invalid base64 image data format');
-    }
-    
-    const [, extension, data] = matches;
-    const buffer = Buffer.from(data, 'base64');
-    
-    // Create temporary file
-    const tempDir = '/tmp';
-    const tempFile = path.join(tempDir, `thumb_${Date.now()}.${extension}`);
-    
-    try {
-      fs.writeFileSync(tempFile, buffer);
-      const result = await this.uploadFile(tempFile);
-      return result;
-    } finally {
-      // Clean up temp file
-      if (fs.existsSync(tempFile)) {
-        fs.unlinkSync(tempFile);
-      }
-    }
-  }
-
   /**
    * Check 3Speak supernode health
    * @returns {Promise<{healthy: boolean, data?: any, error?: string}>}
@@ -19,11 +19,11 @@ class JobService {
    * @param {string} ipfsCid - IPFS hash of uploaded file
    * @param {number} fileSize - File size in bytes
    * @param {string} gatewayUrl - Gateway URL for encoder access
+   * @param {string} jobId - Job ID to use (random if omitted)
    * @returns {Promise<string>} Job ID
    */
-  async createEncodingJob(video, ipfsCid, fileSize, gatewayUrl) {
-    const jobId = uuidv4();
-    
+  async createEncodingJob(video, ipfsCid, fileSize, gatewayUrl, jobId = uuidv4()) {
+
     try {
       const job = new this.Job({
         id: jobId,
@@ -56,7 +56,9 @@ class JobService {
       return jobId;
     } catch (error) {
       console.error(`❌ Failed to create job ${jobId}:`, error);
-      throw new Error(`Job creation failed: ${error.message}`);
+      const wrapped = new Error(`Job creation failed: ${error.message}`);
+      wrapped.code = error.code; // 11000 = job ID already exists
+      throw wrapped;
     }
   }
 
@@ -229,6 +231,30 @@ class JobService {
     }
   }
 
+  /**
+   * Cancel every queued job of a video owner
+   * @param {string} owner - Video owner
+   * @returns {Promise<Array>} Cancelled jobs
+   */
+  async cancelQueuedJobsForOwner(owner) {
+    try {
+      const jobs = await this.Job.find({ 'metadata.video_owner': owner, status: 'queued' });
+      const cancelled = [];
+
+      for (const job of jobs) {
+        cancelled.push(await job.updateStatus('cancelled'));
+      }
+
+      if (cancelled.length > 0) {
+        console.log(`🛑 Cancelled ${cancelled.length} queued job(s) for ${owner}`);
+      }
+      return cancelled;
+    } catch (error) {
+      console.error(`Failed to cancel queued jobs for ${owner}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Get jobs by encoder DID
    * @param {string} encoderDid - Encoder DID
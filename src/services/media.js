@@ -0,0 +1,195 @@
+const { execFile } = require('child_process');
+const policyService = require('./policy');
+
+// ============================================
+// SERVER-SIDE MEDIA PROBING
+// ============================================
+// The duration and size sent to /prepare and /init are client claims
+// (demo-app.js guesses the duration with a browser <video> element).
+// Once an upload completes, ffprobe reads the real values from the file;
+// uploads that are not video, differ materially from the claim or exceed
+// the creator's policy limits are rejected.
+
+/**
+ * Build an error carrying the HTTP status and code to report
+ */
+const mediaError = (message, statusCode, code, details = null) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+};
+
+/**
+ * Parse an ffprobe number ("123.456", "N/A", undefined)
+ */
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Parse an ffprobe frame rate ("30000/1001" → 29.97)
+ */
+const parseFramerate = (rate) => {
+  if (!rate) return null;
+
+  const [numerator, denominator = '1'] = String(rate).split('/');
+  const fps = parseFloat(numerator) / parseFloat(denominator);
+
+  return Number.isFinite(fps) && fps > 0 ? Math.round(fps * 1000) / 1000 : null;
+};
+
+class MediaService {
+  constructor() {
+    this.ffprobePath = process.env.FFPROBE_PATH || 'ffprobe';
+    this.timeoutMs = parseInt(process.env.MEDIA_PROBE_TIMEOUT_MS) || 60 * 1000;
+    // Allowed difference between claimed and real duration: the larger of the two
+    this.durationTolerance = parseFloat(process.env.MEDIA_DURATION_TOLERANCE) || 0.1; // 10%
+    this.durationToleranceSeconds = parseFloat(process.env.MEDIA_DURATION_TOLERANCE_SECONDS) || 5;
+  }
+
+  /**
+   * Run ffprobe on a file
+   * @param {string} filePath - Path of the uploaded file
+   * @returns {Promise<Object>} { duration, size, bitrate, format, codec, width, height, framerate, audio_tracks }
+   * @throws {Error} 503 PROBE_UNAVAILABLE if ffprobe is missing, 422 MEDIA_UNREADABLE if it cannot read the file
+   */
+  async probe(filePath) {
+    const output = await new Promise((resolve, reject) => {
+      execFile(
+        this.ffprobePath,
+        ['-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', filePath],
+        { timeout: this.timeoutMs, maxBuffer: 10 * 1024 * 1024 },
+        (error, stdout, stderr) => {
+          if (error) {
+            if (error.code === 'ENOENT') {
+              return reject(mediaError('Media probing is unavailable (ffprobe not found)', 503, 'PROBE_UNAVAILABLE'));
+            }
+            const reason = (stderr || error.message).trim().split('\n').pop();
+            return reject(mediaError(`Unreadable media file: ${reason}`, 422, 'MEDIA_UNREADABLE'));
+          }
+          resolve(stdout);
+        }
+      );
+    });
+
+    let result;
+    try {
+      result = JSON.parse(output);
+    } catch (error) {
+      throw mediaError('Unreadable media file: invalid ffprobe output', 422, 'MEDIA_UNREADABLE');
+    }
+
+    const format = result.format || {};
+    const streams = result.streams || [];
+    // Cover art is reported as a video stream too
+    const videoStream = streams.find(stream =>
+      stream.codec_type === 'video' && !(stream.disposition && stream.disposition.attached_pic)
+    );
+    const audioStreams = streams.filter(stream => stream.codec_type === 'audio');
+
+    return {
+      duration: toNumber(format.duration) ?? toNumber(videoStream?.duration),
+      size: toNumber(format.size),
+      bitrate: toNumber(format.bit_rate),
+      format: format.format_name || null,
+      codec: videoStream ? videoStream.codec_name : null,
+      width: videoStream ? videoStream.width : null,
+      height: videoStream ? videoStream.height : null,
+      framerate: videoStream ? parseFramerate(videoStream.avg_frame_rate || videoStream.r_frame_rate) : null,
+      audio_tracks: audioStreams.map(stream => ({
+        codec: stream.codec_name || null,
+        channels: stream.channels || null,
+        sample_rate: toNumber(stream.sample_rate),
+        bitrate: toNumber(stream.bit_rate),
+        language: stream.tags?.language || null
+      }))
+    };
+  }
+
+  /**
+   * Check probed media against the client's claim and the creator's policy
+   * @param {Object} media - Result of probe()
+   * @param {Object} claimed - { size, duration } sent by the client
+   * @param {Object} allowances - policyService.evaluate() result
+   * @returns {{allowed: boolean, violations: string[], reason: string|null}}
+   */
+  check(media, claimed, allowances) {
+    const violations = [];
+
+    if (!media.codec) {
+      violations.push('no_video_stream');
+    }
+    if (!media.duration || media.duration <= 0) {
+      violations.push('no_duration');
+    }
+
+    const claimedDuration = parseFloat(claimed.duration);
+    if (media.duration && Number.isFinite(claimedDuration)) {
+      const tolerance = Math.max(claimedDuration * this.durationTolerance, this.durationToleranceSeconds);
+      if (Math.abs(media.duration - claimedDuration) > tolerance) {
+        violations.push('duration_mismatch');
+      }
+    }
+
+    // Bytes are exact: TUS enforces Upload-Length, so any difference is a bad claim
+    const claimedSize = parseInt(claimed.size);
+    if (media.size && Number.isFinite(claimedSize) && media.size !== claimedSize) {
+      violations.push('size_mismatch');
+    }
+
+    const policyCheck = policyService.checkUpload(allowances, {
+      size: media.size,
+      duration: media.duration
+    });
+    violations.push(...policyCheck.violations);
+
+    return {
+      allowed: violations.length === 0,
+      violations,
+      reason: violations.length > 0
+        ? `Media rejected: ${violations.join(', ')}`
+        : null
+    };
+  }
+
+  /**
+   * Video document fields recorded from a probe
+   */
+  toVideoFields(media) {
+    return {
+      duration: media.duration,
+      width: media.width,
+      height: media.height,
+      codec: media.codec,
+      bitrate: media.bitrate,
+      framerate: media.framerate,
+      audio_tracks: media.audio_tracks,
+      probed_at: new Date()
+    };
+  }
+
+  /**
+   * Build the error for a failed check()
+   */
+  rejectionError(check, media, claimed) {
+    return mediaError(check.reason, 422, 'MEDIA_REJECTED', {
+      violations: check.violations,
+      claimed: {
+        size: claimed.size ?? null,
+        duration: claimed.duration ?? null
+      },
+      actual: {
+        size: media.size,
+        duration: media.duration,
+        codec: media.codec
+      }
+    });
+  }
+}
+
+module.exports = new MediaService();
@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+
+// ============================================
+// PERMLINKS
+// ============================================
+// Every video creation path gets its permlink here. Random permlinks are
+// 8 characters of [a-z0-9] drawn from crypto.randomBytes (the length legacy
+// 3Speak clients expect); readable ones are a slug of the title plus a
+// random suffix ("my-first-vlog-x7k2p9").
+//
+// A candidate is checked against the owner's videos before use, and the
+// insert itself is retried with a fresh candidate if it still hits the
+// unique index (a concurrent request, or another owner's video - the legacy
+// collection enforces permlink uniqueness globally).
+
+const ALPHABET = 'abcdefghijklmnopqrstuvwxyz0123456789';
+// Largest multiple of the alphabet size below 256, so every character is equally likely
+const UNBIASED_LIMIT = 256 - (256 % ALPHABET.length);
+
+const RANDOM_LENGTH = 8;
+const SLUG_SUFFIX_LENGTH = 6;
+const SLUG_MAX_LENGTH = 48;
+const DEFAULT_MAX_ATTEMPTS = 5;
+
+/**
+ * Build an error carrying the HTTP status and code to report
+ */
+const permlinkError = (message, statusCode, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+};
+
+class PermlinkService {
+  constructor() {
+    this.maxAttempts = parseInt(process.env.PERMLINK_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS;
+
+    // Lazy load models to avoid circular dependencies
+    this._Video = null;
+  }
+
+  get Video() {
+    if (!this._Video) {
+      this._Video = require('../models/Video')();
+    }
+    return this._Video;
+  }
+
+  /**
+   * Random [a-z0-9] string from crypto randomness
+   * @param {number} length - Number of characters
+   */
+  random(length = RANDOM_LENGTH) {
+    let result = '';
+    while (result.length < length) {
+      for (const byte of crypto.randomBytes(length * 2)) {
+        if (byte < UNBIASED_LIMIT) {
+          result += ALPHABET[byte % ALPHABET.length];
+          if (result.length === length) break;
+        }
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Lowercase, hyphen-separated ASCII slug of a title ('' if nothing usable is left)
+   */
+  slugify(title) {
+    return String(title || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '') // Drop accents (é → e)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .slice(0, SLUG_MAX_LENGTH)
+      .replace(/^-+|-+$/g, '');
+  }
+
+  /**
+   * One permlink candidate - a title slug with random suffix when a title is
+   * given (and has usable characters), else a plain random permlink
+   */
+  candidate({ title } = {}) {
+    const slug = title ? this.slugify(title) : '';
+    return slug ? `${slug}-${this.random(SLUG_SUFFIX_LENGTH)}` : this.random();
+  }
+
+  /**
+   * Whether the owner has no video with this permlink yet
+   */
+  async isAvailable(owner, permlink) {
+    return !(await this.Video.exists({ owner, permlink }));
+  }
+
+  /**
+   * Generate a permlink the owner does not use yet
+   * @param {string} owner - Video owner
+   * @param {Object} options - { title } to derive a readable slug
+   * @returns {Promise<string>}
+   * @throws {Error} 503 PERMLINK_EXHAUSTED after maxAttempts collisions
+   */
+  async generate(owner, { title } = {}) {
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      const permlink = this.candidate({ title });
+      if (await this.isAvailable(owner, permlink)) {
+        return permlink;
+      }
+      console.warn(`⚠️ Permlink collision for ${owner}: ${permlink} (attempt ${attempt}/${this.maxAttempts})`);
+    }
+
+    throw permlinkError(`Could not generate a unique permlink after ${this.maxAttempts} attempts`, 503, 'PERMLINK_EXHAUSTED');
+  }
+
+  /**
+   * Whether an error is a duplicate key error on the permlink index
+   */
+  isPermlinkConflict(error) {
+    return Boolean(error && error.code === 11000 &&
+      ((error.keyPattern && error.keyPattern.permlink) || /permlink/.test(error.message)));
+  }
+
+  /**
+   * Create a video with a unique permlink. insert(permlink) must create and
+   * return the document; it is called again with a new permlink if the
+   * insert hits the unique index.
+   *
+   * @param {string} owner - Video owner
+   * @param {Function} insert - async (permlink) => document
+   * @param {Object} options - { title } for a readable slug, or { permlink } to use the caller's own
+   * @returns {Promise<Object>} The created document
+   * @throws {Error} 409 PERMLINK_TAKEN (caller's permlink) or 503 PERMLINK_EXHAUSTED
+   */
+  async create(owner, insert, { title, permlink } = {}) {
+    if (permlink) {
+      const taken = permlinkError(`Permlink "${permlink}" is already in use`, 409, 'PERMLINK_TAKEN');
+      if (!(await this.isAvailable(owner, permlink))) {
+        throw taken;
+      }
+      try {
+        return await insert(permlink);
+      } catch (error) {
+        throw this.isPermlinkConflict(error) ? taken : error;
+      }
+    }
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      const candidate = await this.generate(owner, { title });
+      try {
+        return await insert(candidate);
+      } catch (error) {
+        if (!this.isPermlinkConflict(error)) throw error;
+        console.warn(`⚠️ Permlink ${candidate} taken on insert (attempt ${attempt}/${this.maxAttempts})`);
+      }
+    }
+
+    throw permlinkError(`Could not generate a unique permlink after ${this.maxAttempts} attempts`, 503, 'PERMLINK_EXHAUSTED');
+  }
+}
+
+module.exports = new PermlinkService();
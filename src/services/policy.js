@@ -0,0 +1,232 @@
+const fs = require('fs');
+const path = require('path');
+
+// ============================================
+// UPLOAD POLICY ENGINE
+// ============================================
+// Maps ContentCreator attributes (verified, score, badges, ...) to upload
+// allowances. The policy lives in a JSON file (UPLOAD_POLICY_FILE, default
+// src/config/upload-policy.json) and is reloaded when the file changes or
+// through POST /api/admin/policy/reload. An invalid file never replaces the
+// policy that is already loaded.
+//
+// Rule format:
+//   { "name": "high-score", "when": { "score": { "$gte": 75 } }, "allow": { "max_duration": 21600 } }
+//
+// Conditions: plain value (equality), $eq, $ne, $gt, $gte, $lt, $lte, $in,
+// $contains (array attribute holds value). All conditions of a rule must match.
+// Allowances: can_upload, reason, max_file_size, max_duration and the quota
+// overrides uploads_per_day, bytes_per_month, duration_per_month.
+
+const DEFAULT_POLICY_FILE = path.join(__dirname, '../config/upload-policy.json');
+
+const ALLOWANCE_KEYS = [
+  'can_upload',
+  'reason',
+  'max_file_size',
+  'max_duration',
+  'uploads_per_day',
+  'bytes_per_month',
+  'duration_per_month'
+];
+
+const OPERATORS = {
+  $eq: (value, expected) => value === expected,
+  $ne: (value, expected) => value !== expected,
+  $gt: (value, expected) => value > expected,
+  $gte: (value, expected) => value >= expected,
+  $lt: (value, expected) => value < expected,
+  $lte: (value, expected) => value <= expected,
+  $in: (value, expected) => Array.isArray(expected) && expected.includes(value),
+  $contains: (value, expected) => Array.isArray(value) && value.includes(expected)
+};
+
+class PolicyService {
+  constructor() {
+    this.filePath = process.env.UPLOAD_POLICY_FILE || DEFAULT_POLICY_FILE;
+    this.policy = null;
+    this.loadedAt = null;
+    this.watching = false;
+    this.reloadTimer = null;
+  }
+
+  /**
+   * Validate a parsed policy document
+   * @private
+   * @throws {Error} Describing the first problem found
+   */
+  _validate(policy) {
+    if (!policy || typeof policy !== 'object') {
+      throw new Error('Policy must be a JSON object');
+    }
+    if (!policy.defaults || typeof policy.defaults !== 'object') {
+      throw new Error('Policy must define "defaults"');
+    }
+    if (!Array.isArray(policy.rules)) {
+      throw new Error('Policy "rules" must be an array');
+    }
+
+    const checkAllowances = (allow, where) => {
+      const unknown = Object.keys(allow).filter(key => !ALLOWANCE_KEYS.includes(key));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown allowance(s) in ${where}: ${unknown.join(', ')}`);
+      }
+    };
+
+    checkAllowances(policy.defaults, 'defaults');
+
+    policy.rules.forEach((rule, index) => {
+      const where = `rule ${rule.name || index}`;
+      if (!rule.when || typeof rule.when !== 'object') {
+        throw new Error(`${where} must define "when"`);
+      }
+      if (!rule.allow || typeof rule.allow !== 'object') {
+        throw new Error(`${where} must define "allow"`);
+      }
+      checkAllowances(rule.allow, where);
+
+      Object.values(rule.when).forEach(condition => {
+        if (condition && typeof condition === 'object' && !Array.isArray(condition)) {
+          const unknown = Object.keys(condition).filter(op => !OPERATORS[op]);
+          if (unknown.length > 0) {
+            throw new Error(`Unknown operator(s) in ${where}: ${unknown.join(', ')}`);
+          }
+        }
+      });
+    });
+  }
+
+  /**
+   * Load (or reload) the policy file
+   * Keeps the current policy if the file is missing or invalid.
+   * @returns {{loaded: boolean, error?: string}}
+   */
+  load() {
+    try {
+      const policy = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this._validate(policy);
+
+      this.policy = policy;
+      this.loadedAt = new Date();
+      console.log(`📜 Upload policy loaded: ${policy.rules.length} rule(s) from ${this.filePath}`);
+
+      return { loaded: true };
+    } catch (error) {
+      console.error(`❌ Failed to load upload policy from ${this.filePath}: ${error.message}`);
+      return { loaded: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get the active policy, loading it on first use
+   * @returns {Object}
+   */
+  getPolicy() {
+    if (!this.policy) {
+      this.load();
+    }
+    return this.policy || { defaults: {}, rules: [] };
+  }
+
+  /**
+   * Check a single rule condition against a creator attribute
+   * @private
+   */
+  _matchCondition(value, condition) {
+    if (condition && typeof condition === 'object' && !Array.isArray(condition)) {
+      return Object.entries(condition).every(([op, expected]) => OPERATORS[op](value, expected));
+    }
+    return value === condition;
+  }
+
+  /**
+   * Evaluate the policy for a creator
+   * @param {Object} creator - ContentCreator document
+   * @returns {Object} Allowances plus the matched rule name (null = defaults)
+   */
+  evaluate(creator) {
+    const policy = this.getPolicy();
+    const attributes = creator?.toObject ? creator.toObject() : (creator || {});
+
+    const rule = policy.rules.find(candidate =>
+      Object.entries(candidate.when).every(([field, condition]) =>
+        this._matchCondition(attributes[field], condition)
+      )
+    );
+
+    return {
+      can_upload: true,
+      reason: null,
+      ...policy.defaults,
+      ...(rule ? rule.allow : {}),
+      rule: rule ? rule.name : null
+    };
+  }
+
+  /**
+   * Check an upload request against evaluated allowances
+   * @param {Object} allowances - Result of evaluate()
+   * @param {Object} upload - { size, duration } (either may be missing)
+   * @returns {{allowed: boolean, violations: string[], reason: string|null}}
+   */
+  checkUpload(allowances, { size, duration } = {}) {
+    if (allowances.can_upload === false) {
+      return {
+        allowed: false,
+        violations: ['can_upload'],
+        reason: allowances.reason || 'Uploads are not allowed for this account'
+      };
+    }
+
+    const violations = [];
+    const fileSize = parseInt(size);
+    const seconds = parseFloat(duration);
+
+    if (allowances.max_file_size && fileSize > allowances.max_file_size) {
+      violations.push('max_file_size');
+    }
+    if (allowances.max_duration && seconds > allowances.max_duration) {
+      violations.push('max_duration');
+    }
+
+    return {
+      allowed: violations.length === 0,
+      violations,
+      reason: violations.length > 0
+        ? `Upload exceeds policy limits: ${violations.join(', ')}`
+        : null
+    };
+  }
+
+  /**
+   * Reload automatically when the policy file changes
+   */
+  watch() {
+    if (this.watching) return;
+
+    this.getPolicy();
+    fs.watchFile(this.filePath, { interval: 5000 }, (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs) return;
+
+      // Editors often write in several steps; wait for the file to settle
+      clearTimeout(this.reloadTimer);
+      this.reloadTimer = setTimeout(() => this.load(), 500);
+    });
+
+    this.watching = true;
+    console.log(`👀 Watching upload policy file: ${this.filePath}`);
+  }
+
+  /**
+   * Stop watching the policy file
+   */
+  stopWatching() {
+    if (!this.watching) return;
+
+    fs.unwatchFile(this.filePath);
+    clearTimeout(this.reloadTimer);
+    this.watching = false;
+  }
+}
+
+module.exports = new PolicyService();
@@ -0,0 +1,145 @@
+const cron = require('node-cron');
+const auditService = require('./audit');
+
+// ============================================
+// SCHEDULED PUBLISHING
+// ============================================
+// Videos created or rescheduled with a publish_at have publish_type
+// 'schedule', which keeps the encoder from auto-publishing them (they end at
+// 'scheduled' instead). A cron task releases videos whose time has come:
+// publish_type goes back to 'publish', and encoded videos move to
+// 'published'. Drafts are never released - they are scheduled when the
+// creator publishes them.
+
+class PublishSchedulerService {
+  constructor() {
+    this.minLeadSeconds = parseInt(process.env.SCHEDULE_MIN_LEAD_SECONDS) || 5 * 60;
+    this.maxDays = parseInt(process.env.SCHEDULE_MAX_DAYS) || 90;
+    this.batchSize = parseInt(process.env.SCHEDULE_BATCH_SIZE) || 100;
+    this.isSchedulerRunning = false;
+    this.scheduledTask = null;
+
+    // Lazy load models to avoid circular dependencies
+    this._Video = null;
+  }
+
+  get Video() {
+    if (!this._Video) {
+      this._Video = require('../models/Video')();
+    }
+    return this._Video;
+  }
+
+  /**
+   * Parse and check a requested publish time (express-validator custom validator)
+   * @param {string} value - ISO 8601 date
+   * @returns {Date}
+   * @throws {Error} If it is not a date, too soon or too far ahead
+   */
+  parsePublishAt(value) {
+    const publishAt = new Date(value);
+    if (typeof value !== 'string' || Number.isNaN(publishAt.getTime())) {
+      throw new Error('publish_at must be an ISO 8601 date');
+    }
+
+    const now = Date.now();
+    if (publishAt.getTime() < now + this.minLeadSeconds * 1000) {
+      throw new Error(`publish_at must be at least ${Math.ceil(this.minLeadSeconds / 60)} minutes in the future`);
+    }
+    if (publishAt.getTime() > now + this.maxDays * 24 * 60 * 60 * 1000) {
+      throw new Error(`publish_at must be within ${this.maxDays} days`);
+    }
+
+    return publishAt;
+  }
+
+  /**
+   * Start the release task
+   */
+  start() {
+    if (this.isSchedulerRunning) {
+      console.log('⚠️ Publish scheduler is already running');
+      return;
+    }
+
+    const schedule = process.env.PUBLISH_SCHEDULE_CRON || '* * * * *'; // Every minute
+
+    console.log(`📅 Scheduling publish releases: ${schedule}`);
+
+    this.scheduledTask = cron.schedule(schedule, async () => {
+      try {
+        await this.releaseDue();
+      } catch (error) {
+        console.error('❌ Scheduled publish release failed:', error);
+      }
+    }, {
+      scheduled: true,
+      timezone: 'UTC'
+    });
+
+    this.isSchedulerRunning = true;
+    console.log('✅ Publish scheduler started');
+  }
+
+  /**
+   * Stop the release task
+   */
+  stop() {
+    if (this.scheduledTask) {
+      this.scheduledTask.destroy();
+      this.scheduledTask = null;
+    }
+    this.isSchedulerRunning = false;
+    console.log('🛑 Publish scheduler stopped');
+  }
+
+  /**
+   * Release every video whose publish_at has passed
+   * @returns {Promise<{released: number, errors: number}>}
+   */
+  async releaseDue(now = new Date()) {
+    const due = await this.Video.findDueForPublish(now, this.batchSize);
+    let released = 0;
+    let errors = 0;
+
+    for (const candidate of due) {
+      try {
+        // Claim it: another instance (or a reschedule) may have got there first
+        const video = await this.Video.findOneAndUpdate(
+          { _id: candidate._id, publish_type: 'schedule', publish_at: { $lte: now } },
+          { $set: { publish_type: 'publish' } },
+          { new: true }
+        );
+        if (!video) continue;
+
+        const previousStatus = video.status;
+        video.publishIfReleased();
+        if (video.status !== previousStatus) {
+          await video.save();
+        }
+
+        released++;
+        console.log(`🚀 Scheduled publish released: ${video.owner}/${video.permlink} (status: ${video.status})`);
+
+        auditService.record({
+          action: 'video.scheduled_publish',
+          outcome: 'success',
+          actor: { type: 'system', id: null, roles: [] },
+          targets: [{ type: 'video', id: video._id }, { type: 'user', id: video.owner }],
+          changes: auditService.diff(
+            { publish_type: 'schedule', status: previousStatus },
+            { publish_type: video.publish_type, status: video.status }
+          ),
+          details: { publish_at: video.publish_at }
+        });
+      } catch (error) {
+        errors++;
+        console.error(`❌ Failed to release scheduled video ${candidate._id}:`, error.message);
+      }
+    }
+
+    return { released, errors };
+  }
+}
+
+module.exports = new PublishSchedulerService();
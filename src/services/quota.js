@@ -0,0 +1,183 @@
+// ============================================
+// UPLOAD QUOTAS
+// ============================================
+// Limits come from the ContentCreator record, then the creator's upload
+// policy tier (services/policy.js), with global defaults as fallback:
+// - uploads per day       ContentCreator.limit (0 = default)       QUOTA_UPLOADS_PER_DAY
+// - bytes per month       ContentCreator.monthlyByteLimit          QUOTA_BYTES_PER_MONTH
+// - duration per month    ContentCreator.monthlyDurationLimit (s)  QUOTA_DURATION_PER_MONTH
+// For monthly fields null means "use the default"; a limit of 0 means unlimited.
+// Periods are calendar day / month in UTC.
+
+const DEFAULT_UPLOADS_PER_DAY = 25;
+const DEFAULT_BYTES_PER_MONTH = 100 * 1024 * 1024 * 1024; // 100GB
+const DEFAULT_DURATION_PER_MONTH = 20 * 60 * 60; // 20 hours
+
+const parseLimit = (value, fallback) => {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+class QuotaService {
+  constructor() {
+    // Lazy load models to avoid circular dependencies
+    this._Video = null;
+    this._TempUpload = null;
+  }
+
+  get Video() {
+    if (!this._Video) {
+      this._Video = require('../models/Video')();
+    }
+    return this._Video;
+  }
+
+  get TempUpload() {
+    if (!this._TempUpload) {
+      this._TempUpload = require('../models/TempUpload')();
+    }
+    return this._TempUpload;
+  }
+
+  get defaults() {
+    return {
+      uploads_per_day: parseLimit(process.env.QUOTA_UPLOADS_PER_DAY, DEFAULT_UPLOADS_PER_DAY),
+      bytes_per_month: parseLimit(process.env.QUOTA_BYTES_PER_MONTH, DEFAULT_BYTES_PER_MONTH),
+      duration_per_month: parseLimit(process.env.QUOTA_DURATION_PER_MONTH, DEFAULT_DURATION_PER_MONTH)
+    };
+  }
+
+  /**
+   * Resolve the effective limits for a creator
+   * @param {Object} creator - ContentCreator document (may be null)
+   * @param {Object} policy - Allowances from policyService.evaluate() (optional)
+   * @returns {{uploads_per_day: number, bytes_per_month: number, duration_per_month: number}}
+   *          0 means unlimited
+   */
+  getLimits(creator, policy = {}) {
+    const defaults = this.defaults;
+    const fallback = (key) => policy[key] ?? defaults[key];
+
+    return {
+      uploads_per_day: creator?.limit > 0 ? creator.limit : fallback('uploads_per_day'),
+      bytes_per_month: creator?.monthlyByteLimit ?? fallback('bytes_per_month'),
+      duration_per_month: creator?.monthlyDurationLimit ?? fallback('duration_per_month')
+    };
+  }
+
+  /**
+   * Start of the current UTC day and month, and when they reset
+   * @private
+   */
+  _periods(now = new Date()) {
+    const dayStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+
+    return {
+      dayStart,
+      monthStart,
+      dayReset: new Date(dayStart.getTime() + 24 * 60 * 60 * 1000),
+      monthReset: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+    };
+  }
+
+  /**
+   * Sum uploads, bytes and duration since a date
+   * Counts videos (except failed ones) plus upload-first uploads that have
+   * not been finalized yet - finalized ones already have a video.
+   * @private
+   */
+  async _usageSince(owner, since) {
+    const [videos, pending] = await Promise.all([
+      this.Video.aggregate([
+        { $match: { owner, created: { $gte: since }, status: { $ne: 'failed' } } },
+        { $group: { _id: null, count: { $sum: 1 }, bytes: { $sum: '$size' }, duration: { $sum: '$duration' } } }
+      ]),
+      this.TempUpload.aggregate([
+        { $match: { owner, created: { $gte: since }, finalized: false } },
+        { $group: { _id: null, count: { $sum: 1 }, bytes: { $sum: '$size' }, duration: { $sum: '$duration' } } }
+      ])
+    ]);
+
+    const v = videos[0] || { count: 0, bytes: 0, duration: 0 };
+    const p = pending[0] || { count: 0, bytes: 0, duration: 0 };
+
+    return {
+      count: v.count + p.count,
+      bytes: (v.bytes || 0) + (p.bytes || 0),
+      duration: (v.duration || 0) + (p.duration || 0)
+    };
+  }
+
+  /**
+   * Get current usage, limits and remaining allowance for an owner
+   * @param {string} owner - Hive username
+   * @param {Object} creator - ContentCreator document
+   * @param {Object} policy - Allowances from policyService.evaluate() (optional)
+   * @returns {Promise<Object>} Quota status
+   */
+  async getQuotaStatus(owner, creator, policy = {}) {
+    const limits = this.getLimits(creator, policy);
+    const periods = this._periods();
+
+    const [today, month] = await Promise.all([
+      this._usageSince(owner, periods.dayStart),
+      this._usageSince(owner, periods.monthStart)
+    ]);
+
+    const usage = {
+      uploads_today: today.count,
+      bytes_this_month: month.bytes,
+      duration_this_month: Math.round(month.duration * 100) / 100
+    };
+
+    const remainingOf = (limit, used) => limit === 0 ? null : Math.max(0, limit - used);
+
+    return {
+      owner,
+      limits,
+      usage,
+      remaining: {
+        uploads_today: remainingOf(limits.uploads_per_day, usage.uploads_today),
+        bytes_this_month: remainingOf(limits.bytes_per_month, usage.bytes_this_month),
+        duration_this_month: remainingOf(limits.duration_per_month, usage.duration_this_month)
+      }, // null = unlimited
+      resets: {
+        daily: periods.dayReset,
+        monthly: periods.monthReset
+      }
+    };
+  }
+
+  /**
+   * Check whether a new upload fits in the owner's quota
+   * @param {string} owner - Hive username
+   * @param {Object} creator - ContentCreator document
+   * @param {Object} upload - { size, duration } of the requested upload (optional)
+   * @param {Object} policy - Allowances from policyService.evaluate() (optional)
+   * @returns {Promise<{allowed: boolean, exceeded: string[], quota: Object}>}
+   */
+  async checkQuota(owner, creator, { size = 0, duration = 0 } = {}, policy = {}) {
+    const quota = await this.getQuotaStatus(owner, creator, policy);
+    const { remaining } = quota;
+    const exceeded = [];
+
+    if (remaining.uploads_today !== null && remaining.uploads_today < 1) {
+      exceeded.push('uploads_per_day');
+    }
+    if (remaining.bytes_this_month !== null && remaining.bytes_this_month < (parseInt(size) || 0)) {
+      exceeded.push('bytes_per_month');
+    }
+    if (remaining.duration_this_month !== null && remaining.duration_this_month < (parseFloat(duration) || 0)) {
+      exceeded.push('duration_per_month');
+    }
+
+    return {
+      allowed: exceeded.length === 0,
+      exceeded,
+      quota
+    };
+  }
+}
+
+module.exports = new QuotaService();
@@ -0,0 +1,112 @@
+const { ROLE_NAMES, DEFAULT_USER_ROLES, expandRoles } = require('../config/roles');
+
+const ROLE_CACHE_TTL_MS = 60 * 1000; // Role lookups happen on every session request
+
+class RoleService {
+  constructor() {
+    // Lazy load models to avoid circular dependencies
+    this._UserRole = null;
+    this.cache = new Map(); // username -> { roles, expires }
+  }
+
+  get UserRole() {
+    if (!this._UserRole) {
+      this._UserRole = require('../models/UserRole')();
+    }
+    return this._UserRole;
+  }
+
+  /**
+   * Validate role names
+   * @param {string[]} roles - Role names
+   * @throws {Error} If any role is unknown
+   */
+  assertValidRoles(roles) {
+    const invalid = roles.filter(role => !ROLE_NAMES.includes(role));
+    if (invalid.length > 0) {
+      throw new Error(`Invalid roles: ${invalid.join(', ')}`);
+    }
+  }
+
+  /**
+   * Get the effective roles of a Hive account (defaults + granted)
+   * @param {string} username - Hive username
+   * @returns {Promise<string[]>} Role names
+   */
+  async getUserRoles(username) {
+    const cached = this.cache.get(username);
+    if (cached && cached.expires > Date.now()) {
+      return cached.roles;
+    }
+
+    const assignment = await this.UserRole.findOne({ username }).lean();
+    const roles = [...new Set([...DEFAULT_USER_ROLES, ...(assignment?.roles || [])])];
+
+    this.cache.set(username, { roles, expires: Date.now() + ROLE_CACHE_TTL_MS });
+    return roles;
+  }
+
+  /**
+   * Replace the granted roles of a Hive account
+   * @param {string} username - Hive username
+   * @param {string[]} roles - Role names (empty removes all grants)
+   * @param {string} grantedBy - Who made the change
+   * @returns {Promise<{before: string[], after: string[]}>}
+   */
+  async setUserRoles(username, roles, grantedBy = null) {
+    this.assertValidRoles(roles);
+
+    const previous = await this.UserRole.findOne({ username }).lean();
+    const unique = [...new Set(roles)];
+
+    if (unique.length === 0) {
+      await this.UserRole.deleteOne({ username });
+    } else {
+      await this.UserRole.findOneAndUpdate(
+        { username },
+        { roles: unique, granted_by: grantedBy, updated: new Date() },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+    }
+
+    this.cache.delete(username);
+    console.log(`👮 Roles for ${username} set to [${unique.join(', ')}] by ${grantedBy || 'unknown'}`);
+
+    return { before: previous?.roles || [], after: unique };
+  }
+
+  /**
+   * Grant a single role to a Hive account
+   */
+  async grantUserRole(username, role, grantedBy = null) {
+    const current = await this.UserRole.findOne({ username }).lean();
+    return this.setUserRoles(username, [...(current?.roles || []), role], grantedBy);
+  }
+
+  /**
+   * Remove a single role from a Hive account
+   */
+  async revokeUserRole(username, role, grantedBy = null) {
+    const current = await this.UserRole.findOne({ username }).lean();
+    return this.setUserRoles(username, (current?.roles || []).filter(r => r !== role), grantedBy);
+  }
+
+  /**
+   * List all Hive accounts with granted roles
+   * @returns {Promise<Array>} UserRole documents
+   */
+  async listUserRoles() {
+    return this.UserRole.find({}).sort({ username: 1 }).lean();
+  }
+
+  /**
+   * Expand role names into scopes
+   * @param {string[]} roles - Role names
+   * @returns {string[]} Scopes
+   */
+  expandRoles(roles) {
+    return expandRoles(roles);
+  }
+}
+
+module.exports = new RoleService();
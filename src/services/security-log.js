@@ -0,0 +1,43 @@
+const winston = require('winston');
+
+// ============================================
+// SECURITY LOG
+// ============================================
+// Rejected hook callbacks and similar events go to logs/security.log
+// (and the console) so they can be reviewed separately from the
+// request logs.
+const securityLogger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/security.log' }),
+    new winston.transports.Console({ format: winston.format.simple() })
+  ]
+});
+
+/**
+ * Log a rejected request
+ * @param {Object} req - Express request
+ * @param {string} event - What was rejected ("tus_callback", ...)
+ * @param {string} reason - Why it was rejected
+ * @param {Object} details - Extra context
+ */
+const logRejection = (req, event, reason, details = {}) => {
+  securityLogger.warn(`🚨 Rejected ${event}: ${reason}`, {
+    event,
+    reason,
+    ip: req.ip,
+    method: req.method,
+    path: req.originalUrl,
+    userAgent: req.get('User-Agent'),
+    ...details
+  });
+};
+
+module.exports = {
+  securityLogger,
+  logRejection
+};
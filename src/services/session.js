@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+class SessionService {
+  constructor() {
+    this.accessTtlSeconds = parseInt(process.env.SESSION_TOKEN_TTL) || 60 * 60; // 1 hour
+    this.refreshTtlSeconds = parseInt(process.env.SESSION_REFRESH_TTL) || 7 * 24 * 60 * 60; // 7 days
+    this.issuer = process.env.UPLOAD_SERVICE_ID || 'simplified-upload-service';
+
+    // Lazy load models to avoid circular dependencies
+    this._AuthSession = null;
+  }
+
+  get AuthSession() {
+    if (!this._AuthSession) {
+      this._AuthSession = require('../models/AuthSession')();
+    }
+    return this._AuthSession;
+  }
+
+  get secret() {
+    const secret = process.env.SESSION_SECRET;
+    if (!secret || secret.length < 32) {
+      throw new Error('SESSION_SECRET must be configured (at least 32 characters)');
+    }
+    return secret;
+  }
+
+  /**
+   * Check whether a bearer token looks like a session token (JWT)
+   * @param {string} token - Raw bearer token
+   * @returns {boolean}
+   */
+  isSessionToken(token) {
+    return typeof token === 'string' && token.split('.').length === 3;
+  }
+
+  /**
+   * Hash a refresh token for storage/lookup
+   * @private
+   */
+  _hashRefreshToken(refreshToken) {
+    return crypto.createHash('sha256').update(refreshToken).digest('hex');
+  }
+
+  /**
+   * Sign an access token for a session
+   * @private
+   */
+  _signAccessToken(session) {
+    return jwt.sign(
+      { sub: session.username, typ: 'session' },
+      this.secret,
+      {
+        algorithm: 'HS256',
+        expiresIn: this.accessTtlSeconds,
+        jwtid: session.session_id,
+        issuer: this.issuer
+      }
+    );
+  }
+
+  /**
+   * Create a new session for a verified Hive user
+   * @param {string} username - Hive account that proved ownership
+   * @param {Object} client - { ip, userAgent }
+   * @returns {Promise<{token: string, refresh_token: string, expires_in: number, session_id: string}>}
+   */
+  async createSession(username, client = {}) {
+    const refreshToken = crypto.randomBytes(32).toString('hex');
+
+    const session = await this.AuthSession.create({
+      session_id: crypto.randomUUID(),
+      username,
+      refresh_token_hash: this._hashRefreshToken(refreshToken),
+      ip: client.ip || null,
+      user_agent: client.userAgent || null,
+      expires: new Date(Date.now() + this.refreshTtlSeconds * 1000)
+    });
+
+    console.log(`🎟️ Session created for ${username}: ${session.session_id}`);
+
+    return {
+      token: this._signAccessToken(session),
+      refresh_token: refreshToken,
+      expires_in: this.accessTtlSeconds,
+      session_id: session.session_id
+    };
+  }
+
+  /**
+   * Verify an access token and make sure its session is still active
+   * @param {string} token - Access token
+   * @returns {Promise<{valid: boolean, reason?: string, username?: string, sessionId?: string}>}
+   */
+  async verifyAccessToken(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, this.secret, {
+        algorithms: ['HS256'],
+        issuer: this.issuer
+      });
+    } catch (error) {
+      return {
+        valid: false,
+        reason: error.name === 'TokenExpiredError' ? 'Session token expired' : 'Invalid session token'
+      };
+    }
+
+    if (payload.typ !== 'session' || !payload.jti || !payload.sub) {
+      return { valid: false, reason: 'Invalid session token' };
+    }
+
+    const session = await this.AuthSession.findOne({ session_id: payload.jti });
+    if (!session || !session.isActive()) {
+      return { valid: false, reason: 'Session revoked or expired' };
+    }
+
+    return {
+      valid: true,
+      username: payload.sub,
+      sessionId: payload.jti
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new access token
+   * Refresh tokens are single-use: a new one is returned each time.
+   * @param {string} refreshToken - Refresh token from createSession/refreshSession
+   * @returns {Promise<{token: string, refresh_token: string, expires_in: number, session_id: string}|null>}
+   */
+  async refreshSession(refreshToken) {
+    const newRefreshToken = crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+
+    // Swap the token atomically: of two concurrent refreshes with the same
+    // token, only one matches the old hash
+    const session = await this.AuthSession.findOneAndUpdate(
+      {
+        refresh_token_hash: this._hashRefreshToken(refreshToken),
+        revoked: false,
+        expires: { $gt: now }
+      },
+      {
+        $set: {
+          refresh_token_hash: this._hashRefreshToken(newRefreshToken),
+          last_refreshed: now
+        }
+      },
+      { new: true }
+    );
+
+    if (!session) {
+      return null;
+    }
+
+    return {
+      token: this._signAccessToken(session),
+      refresh_token: newRefreshToken,
+      expires_in: this.accessTtlSeconds,
+      session_id: session.session_id
+    };
+  }
+
+  /**
+   * Revoke a single session
+   * @param {string} sessionId - Session ID (token jti)
+   * @param {string} username - Owner of the session
+   * @returns {Promise<boolean>} True if a session was revoked
+   */
+  async revokeSession(sessionId, username) {
+    const result = await this.AuthSession.updateOne(
+      { session_id: sessionId, username, revoked: false },
+      { revoked: true, revoked_at: new Date() }
+    );
+
+    if (result.modifiedCount > 0) {
+      console.log(`🚪 Session revoked for ${username}: ${sessionId}`);
+    }
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Revoke every active session of a user
+   * @param {string} username - Hive account
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeAllSessions(username) {
+    const result = await this.AuthSession.updateMany(
+      { username, revoked: false },
+      { revoked: true, revoked_at: new Date() }
+    );
+
+    console.log(`🚪 Revoked ${result.modifiedCount} session(s) for ${username}`);
+    return result.modifiedCount;
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,281 @@
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const ipfsService = require('./ipfs');
+
+// ============================================
+// THUMBNAILS
+// ============================================
+// Every thumbnail - uploaded file, base64 data URI or generated frame - is
+// normalized before it is pinned: identified by magic bytes, checked for
+// trailing data and embedded markup (polyglots), size-checked from its
+// header before decoding (decompression bombs), then decoded and re-encoded
+// as a 1280x720 JPEG plus a 320x180 variant. Re-encoding drops all EXIF/GPS
+// metadata.
+//
+// Videos uploaded without a thumbnail get candidate frames extracted with
+// ffmpeg (by default at 10%, 50% and 90% of the duration). All candidates
+// are pinned; the most detailed one (largest frame - black or blank frames
+// compress to almost nothing) becomes the video's thumbnail and the creator
+// can switch to another one through POST /thumbnail/:video_id.
+
+const VARIANTS = {
+  large: { width: 1280, height: 720 },
+  small: { width: 320, height: 180 }
+};
+
+const MAX_INPUT_BYTES = 5 * 1024 * 1024;
+
+// Longest side of extracted candidate frames (still above the large variant)
+const FRAME_MAX_SIDE = 1920;
+
+// Markup that has no business inside an image (HTML/PHP polyglots)
+const POLYGLOT_MARKERS = ['<script', '<?php', '<html', '<iframe', '<!doctype'];
+
+/**
+ * Build an error for a rejected thumbnail
+ */
+const thumbnailError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.code = 'INVALID_THUMBNAIL';
+  return error;
+};
+
+/**
+ * The DEFAULT_THUMBNAIL env value as stored on videos ('' if unset)
+ */
+const defaultThumbnailUri = () => {
+  const value = process.env.DEFAULT_THUMBNAIL || '';
+  if (!value) return '';
+  return value.startsWith('ipfs://') ? value : `ipfs://${value}`;
+};
+
+class ThumbnailService {
+  constructor() {
+    this.ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg';
+    this.timeoutMs = parseInt(process.env.THUMBNAIL_TIMEOUT_MS) || 60 * 1000;
+    this.maxPixels = parseInt(process.env.THUMBNAIL_MAX_PIXELS) || 50 * 1000 * 1000;
+    this.positions = (process.env.THUMBNAIL_POSITIONS || '0.1,0.5,0.9')
+      .split(',')
+      .map(position => parseFloat(position))
+      .filter(position => position >= 0 && position <= 1);
+  }
+
+  /**
+   * Whether a video still has no thumbnail of its own
+   */
+  needsThumbnail(video) {
+    return !video.thumbnail || video.thumbnail === defaultThumbnailUri();
+  }
+
+  // ============================================
+  // NORMALIZATION
+  // ============================================
+
+  /**
+   * Identify an image by its magic bytes
+   * @returns {string|null} 'jpeg', 'png', 'webp', 'gif' or null
+   */
+  sniff(buffer) {
+    if (buffer.length < 12) return null;
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+    if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+    if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+    if (['GIF87a', 'GIF89a'].includes(buffer.toString('latin1', 0, 6))) return 'gif';
+    return null;
+  }
+
+  /**
+   * Reject data hidden after the image's end marker and embedded markup
+   * @private
+   */
+  _checkPolyglot(buffer, format) {
+    let end = buffer.length;
+    if (format === 'jpeg') {
+      while (end > 0 && buffer[end - 1] === 0x00) end--; // Some encoders pad with zeros
+    }
+
+    const intact = {
+      jpeg: () => buffer[end - 2] === 0xff && buffer[end - 1] === 0xd9,
+      png: () => buffer.toString('latin1', end - 8, end - 4) === 'IEND',
+      webp: () => buffer.readUInt32LE(4) + 8 === end,
+      gif: () => buffer[end - 1] === 0x3b
+    }[format]();
+
+    if (!intact) {
+      throw thumbnailError(`Invalid thumbnail: data after the end of the ${format} image`);
+    }
+
+    const text = buffer.toString('latin1').toLowerCase();
+    const marker = POLYGLOT_MARKERS.find(candidate => text.includes(candidate));
+    if (marker) {
+      throw thumbnailError(`Invalid thumbnail: embedded markup (${marker})`);
+    }
+  }
+
+  /**
+   * Validate an image and re-encode it to the standard sizes
+   * @param {Buffer} buffer - Raw image bytes
+   * @returns {Promise<{format: string, large: Buffer, small: Buffer}>}
+   * @throws {Error} 400 INVALID_THUMBNAIL
+   */
+  async normalize(buffer) {
+    if (buffer.length > MAX_INPUT_BYTES) {
+      throw thumbnailError('Invalid thumbnail: larger than 5MB');
+    }
+
+    const format = this.sniff(buffer);
+    if (!format) {
+      throw thumbnailError('Invalid thumbnail: not a JPEG, PNG, WebP or GIF image');
+    }
+
+    this._checkPolyglot(buffer, format);
+
+    // Dimensions come from the header, before anything is decoded
+    let metadata;
+    try {
+      metadata = await sharp(buffer).metadata();
+    } catch (error) {
+      throw thumbnailError(`Invalid thumbnail: ${error.message}`);
+    }
+
+    if (metadata.format !== format) {
+      throw thumbnailError(`Invalid thumbnail: ${format} signature but ${metadata.format} content`);
+    }
+    if (!metadata.width || !metadata.height || metadata.width * metadata.height > this.maxPixels) {
+      throw thumbnailError(`Invalid thumbnail: ${metadata.width}x${metadata.height} exceeds ${this.maxPixels} pixels`);
+    }
+
+    const render = ({ width, height }) => sharp(buffer, { limitInputPixels: this.maxPixels, failOn: 'error' })
+      .rotate() // Apply EXIF orientation before the metadata is dropped
+      .resize(width, height, { fit: 'cover' })
+      .flatten({ background: '#000000' })
+      .jpeg({ quality: 85, mozjpeg: true })
+      .toBuffer();
+
+    try {
+      const [large, small] = await Promise.all([render(VARIANTS.large), render(VARIANTS.small)]);
+      return { format, large, small };
+    } catch (error) {
+      throw thumbnailError(`Invalid thumbnail: ${error.message}`);
+    }
+  }
+
+  /**
+   * Decode a "data:image/...;base64," URI
+   * @private
+   */
+  _decodeBase64(base64Data) {
+    const matches = typeof base64Data === 'string' && base64Data.match(/^data:image\/([a-z]+);base64,(.+)$/);
+    if (!matches) {
+      throw thumbnailError('Invalid base64 image data format');
+    }
+    return Buffer.from(matches[2], 'base64');
+  }
+
+  /**
+   * Normalize a thumbnail and pin both variants to IPFS
+   * @param {Object} source - { filePath } or { base64 } (data URI)
+   * @returns {Promise<{hash: string, uri: string, small_uri: string}>}
+   * @throws {Error} 400 INVALID_THUMBNAIL
+   */
+  async pin({ filePath, base64 }) {
+    const input = filePath
+      ? await fs.promises.readFile(filePath)
+      : this._decodeBase64(base64);
+
+    const { large, small } = await this.normalize(input);
+
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'thumbnail-'));
+    try {
+      const largePath = path.join(workDir, 'thumbnail.jpg');
+      const smallPath = path.join(workDir, 'thumbnail-small.jpg');
+      await Promise.all([
+        fs.promises.writeFile(largePath, large),
+        fs.promises.writeFile(smallPath, small)
+      ]);
+
+      const largeResult = await ipfsService.uploadThumbnail(largePath);
+      const smallResult = await ipfsService.uploadThumbnail(smallPath);
+
+      return {
+        hash: largeResult.hash,
+        uri: `ipfs://${largeResult.hash}`,
+        small_uri: `ipfs://${smallResult.hash}`
+      };
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  // ============================================
+  // GENERATED CANDIDATES
+  // ============================================
+
+  /**
+   * Extract one JPEG frame
+   * @private
+   */
+  _extractFrame(filePath, seconds, outputPath) {
+    return new Promise((resolve, reject) => {
+      execFile(
+        this.ffmpegPath,
+        [
+          '-v', 'error', '-ss', seconds.toFixed(3), '-i', filePath, '-frames:v', '1',
+          // 4K+ frames at -q:v 2 can exceed the 5MB input limit of normalize()
+          '-vf', `scale=w='min(iw,${FRAME_MAX_SIDE})':h='min(ih,${FRAME_MAX_SIDE})':force_original_aspect_ratio=decrease`,
+          '-q:v', '2', '-y', outputPath
+        ],
+        { timeout: this.timeoutMs },
+        (error, stdout, stderr) => {
+          if (error) {
+            return reject(new Error(`ffmpeg failed at ${seconds.toFixed(1)}s: ${(stderr || error.message).trim()}`));
+          }
+          resolve();
+        }
+      );
+    });
+  }
+
+  /**
+   * Extract candidate frames, normalize them and pin them to IPFS
+   * @param {string} filePath - Uploaded video file
+   * @param {number} duration - Video duration in seconds
+   * @returns {Promise<Array>} [{ uri, small_uri, position, time, score }], best first
+   */
+  async generateCandidates(filePath, duration) {
+    if (!duration || duration <= 0) {
+      throw new Error('Cannot pick thumbnail frames without a duration');
+    }
+
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'thumbnail-candidates-'));
+    try {
+      const candidates = [];
+
+      for (const [index, position] of this.positions.entries()) {
+        // Stay clear of the very last frame, which ffmpeg may not be able to seek to
+        const time = Math.min(duration * position, Math.max(duration - 0.5, 0));
+        const framePath = path.join(workDir, `candidate-${index}.jpg`);
+
+        try {
+          await this._extractFrame(filePath, time, framePath);
+          const { size } = await fs.promises.stat(framePath);
+          const { uri, small_uri } = await this.pin({ filePath: framePath });
+
+          candidates.push({ uri, small_uri, position, time: Math.round(time * 10) / 10, score: size });
+        } catch (error) {
+          console.warn(`⚠️ Thumbnail candidate at ${Math.round(position * 100)}% skipped: ${error.message}`);
+        }
+      }
+
+      return candidates.sort((a, b) => b.score - a.score);
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+  }
+}
+
+module.exports = new ThumbnailService();
@@ -0,0 +1,349 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = ['creation', 'termination', 'checksum', 'expiration'];
+const CHECKSUM_ALGORITHMS = ['sha1', 'sha256', 'md5'];
+
+/**
+ * Build an error carrying the HTTP status to report
+ */
+const tusError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class TusService {
+  constructor() {
+    // Same layout as tusd's filestore: <id> holds the data, <id>.info the JSON info
+    this.uploadDir = process.env.TUS_UPLOAD_PATH || '/tmp/uploads';
+    this.maxSize = parseInt(process.env.TUS_MAX_SIZE) || 10 * 1024 * 1024 * 1024; // 10GB
+    this.expiryMs = (parseFloat(process.env.TUS_UPLOAD_EXPIRY_HOURS) || 24) * 60 * 60 * 1000;
+
+    // Upload IDs with a PATCH in progress (single process, so memory is enough)
+    this.locks = new Set();
+  }
+
+  get version() {
+    return TUS_VERSION;
+  }
+
+  get extensions() {
+    return TUS_EXTENSIONS;
+  }
+
+  get checksumAlgorithms() {
+    return CHECKSUM_ALGORITHMS;
+  }
+
+  /**
+   * Parse an Upload-Metadata header ("key base64value,key2 base64value")
+   * @param {string} header - Raw header value
+   * @returns {Object} Decoded key/value pairs
+   * @throws {Error} With statusCode 400 for malformed pairs
+   */
+  parseMetadata(header) {
+    const metadata = {};
+    if (!header) return metadata;
+
+    for (const pair of header.split(',')) {
+      const [key, value, ...rest] = pair.trim().split(' ');
+      if (!key || rest.length > 0 || metadata[key] !== undefined) {
+        throw tusError('Invalid Upload-Metadata header', 400);
+      }
+      metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+    }
+
+    return metadata;
+  }
+
+  /**
+   * Encode metadata back into an Upload-Metadata header
+   */
+  formatMetadata(metadata) {
+    return Object.entries(metadata || {})
+      .map(([key, value]) => (value ? `${key} ${Buffer.from(value, 'utf8').toString('base64')}` : key))
+      .join(',');
+  }
+
+  /**
+   * Parse an Upload-Checksum header ("<algorithm> <base64 digest>")
+   * @returns {{algorithm: string, digest: string}|null}
+   * @throws {Error} With statusCode 400 for unsupported algorithms
+   */
+  parseChecksum(header) {
+    if (!header) return null;
+
+    const [algorithm, digest] = header.trim().split(' ');
+    if (!CHECKSUM_ALGORITHMS.includes(algorithm) || !digest) {
+      throw tusError(`Unsupported checksum algorithm (supported: ${CHECKSUM_ALGORITHMS.join(', ')})`, 400);
+    }
+
+    return { algorithm, digest };
+  }
+
+  dataPath(id) {
+    return path.join(this.uploadDir, id);
+  }
+
+  infoPath(id) {
+    return path.join(this.uploadDir, `${id}.info`);
+  }
+
+  async _writeInfo(info) {
+    await fs.promises.writeFile(this.infoPath(info.ID), JSON.stringify(info));
+  }
+
+  /**
+   * Create an empty upload
+   * @param {Object} options - { size, metadata, owner }
+   * @returns {Promise<Object>} Upload info
+   */
+  async createUpload({ size, metadata = {}, owner = null }) {
+    if (size > this.maxSize) {
+      throw tusError(`Upload-Length exceeds the maximum of ${this.maxSize} bytes`, 413);
+    }
+
+    await fs.promises.mkdir(this.uploadDir, { recursive: true });
+
+    const id = crypto.randomBytes(16).toString('hex');
+    const now = Date.now();
+    const info = {
+      ID: id,
+      Size: size,
+      Offset: 0,
+      MetaData: metadata,
+      Owner: owner,
+      Completed: false,
+      CreatedAt: new Date(now).toISOString(),
+      ExpiresAt: new Date(now + this.expiryMs).toISOString(),
+      Storage: {
+        Type: 'filestore',
+        Path: this.dataPath(id),
+        InfoPath: this.infoPath(id)
+      }
+    };
+
+    await fs.promises.writeFile(info.Storage.Path, '');
+    await this._writeInfo(info);
+
+    console.log(`📦 TUS upload created: ${id} (${size} bytes)`);
+    return info;
+  }
+
+  /**
+   * Load an upload with its current offset
+   * @param {string} id - Upload ID
+   * @returns {Promise<Object>} Upload info
+   * @throws {Error} With statusCode 404 (unknown) or 410 (expired)
+   */
+  async getUpload(id) {
+    if (!/^[a-f0-9]{32}$/.test(id)) {
+      throw tusError('Upload not found', 404);
+    }
+
+    let info;
+    try {
+      info = JSON.parse(await fs.promises.readFile(this.infoPath(id), 'utf8'));
+    } catch (error) {
+      throw tusError('Upload not found', 404);
+    }
+
+    try {
+      info.Offset = (await fs.promises.stat(info.Storage.Path)).size;
+    } catch (error) {
+      // Completion removes the data file once it has been ingested
+      if (!info.Completed) throw tusError('Upload not found', 404);
+      info.Offset = info.Size;
+    }
+
+    if (info.Offset < info.Size && this.isExpired(info)) {
+      throw tusError('Upload expired', 410);
+    }
+
+    return info;
+  }
+
+  /**
+   * Resolve a file path reported by an external tusd
+   * Symlinks and ".." are resolved; the result must be a regular file
+   * inside the upload directory.
+   * @param {string} filePath - Storage.Path from the hook payload
+   * @returns {Promise<string|null>} Real path, or null if it is not confined
+   */
+  async resolveUploadPath(filePath) {
+    if (typeof filePath !== 'string' || !filePath) return null;
+
+    try {
+      const uploadDir = await fs.promises.realpath(this.uploadDir);
+      const resolved = await fs.promises.realpath(path.resolve(uploadDir, filePath));
+      const stats = await fs.promises.stat(resolved);
+
+      return resolved.startsWith(uploadDir + path.sep) && stats.isFile() ? resolved : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  isExpired(info) {
+    return new Date(info.ExpiresAt) < new Date();
+  }
+
+  /**
+   * Append a PATCH body to an upload
+   * Partial writes are kept so the client can resume, unless a checksum was
+   * given: then the chunk is all-or-nothing.
+   * @param {string} id - Upload ID
+   * @param {number} offset - Upload-Offset sent by the client
+   * @param {stream.Readable} source - Request body
+   * @param {Object|null} checksum - Parsed Upload-Checksum
+   * @returns {Promise<Object>} Upload info with the new offset
+   */
+  async writeChunk(id, offset, source, checksum = null) {
+    if (this.locks.has(id)) {
+      throw tusError('Upload is locked by another request', 423);
+    }
+
+    this.locks.add(id);
+    try {
+      const info = await this.getUpload(id);
+
+      if (offset !== info.Offset) {
+        throw tusError(`Upload-Offset mismatch (expected ${info.Offset})`, 409);
+      }
+
+      const remaining = info.Size - info.Offset;
+      const hash = checksum ? crypto.createHash(checksum.algorithm) : null;
+      let received = 0;
+
+      const meter = new Transform({
+        transform(chunk, encoding, callback) {
+          received += chunk.length;
+          if (received > remaining) {
+            return callback(tusError('Chunk exceeds Upload-Length', 413));
+          }
+          if (hash) hash.update(chunk);
+          callback(null, chunk);
+        }
+      });
+
+      try {
+        await pipeline(
+          source,
+          meter,
+          fs.createWriteStream(info.Storage.Path, { flags: 'r+', start: info.Offset })
+        );
+
+        if (hash && hash.digest('base64') !== checksum.digest) {
+          throw tusError('Checksum mismatch', 460);
+        }
+      } catch (error) {
+        // Checksummed chunks and oversized bodies are discarded entirely
+        if (checksum || error.statusCode === 413) {
+          await fs.promises.truncate(info.Storage.Path, info.Offset);
+        }
+        throw error;
+      }
+
+      info.Offset += received;
+      return info;
+    } finally {
+      this.locks.delete(id);
+    }
+  }
+
+  /**
+   * Run the completion logic once for a fully received upload
+   * Holds the upload lock so concurrent requests cannot complete it twice.
+   * A failed completion is retried by the next PATCH.
+   * @param {string} id - Upload ID
+   * @param {Function} complete - async (info) => void
+   * @returns {Promise<Object>} Upload info
+   */
+  async finishUpload(id, complete) {
+    if (this.locks.has(id)) {
+      throw tusError('Upload is locked by another request', 423);
+    }
+
+    this.locks.add(id);
+    try {
+      const info = await this.getUpload(id);
+      if (info.Completed || info.Offset < info.Size) {
+        return info;
+      }
+
+      await complete(info);
+
+      info.Completed = true;
+      await this._writeInfo(info);
+
+      console.log(`✅ TUS upload finished: ${id}`);
+      return info;
+    } finally {
+      this.locks.delete(id);
+    }
+  }
+
+  /**
+   * Delete an upload's data and info files (termination extension)
+   */
+  async removeUpload(id) {
+    if (this.locks.has(id)) {
+      throw tusError('Upload is locked by another request', 423);
+    }
+
+    const info = await this.getUpload(id);
+    await fs.promises.rm(info.Storage.Path, { force: true });
+    await fs.promises.rm(this.infoPath(id), { force: true });
+
+    console.log(`🗑️ TUS upload terminated: ${id}`);
+  }
+
+  /**
+   * Remove expired incomplete uploads and info files whose data was ingested
+   * @returns {Promise<{removed: number, errors: number}>}
+   */
+  async removeExpiredUploads() {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(this.uploadDir);
+    } catch (error) {
+      return { removed: 0, errors: 0 };
+    }
+
+    let removed = 0;
+    let errors = 0;
+
+    for (const entry of entries.filter(name => name.endsWith('.info'))) {
+      const id = entry.slice(0, -'.info'.length);
+      if (this.locks.has(id)) continue;
+
+      try {
+        const info = JSON.parse(await fs.promises.readFile(this.infoPath(id), 'utf8'));
+        const hasData = fs.existsSync(info.Storage.Path);
+        const expired = !info.Completed && this.isExpired(info);
+
+        if (expired || (info.Completed && !hasData)) {
+          await fs.promises.rm(info.Storage.Path, { force: true });
+          await fs.promises.rm(this.infoPath(id), { force: true });
+          removed++;
+        }
+      } catch (error) {
+        console.error(`❌ Failed to check TUS upload ${id}:`, error.message);
+        errors++;
+      }
+    }
+
+    if (removed > 0) {
+      console.log(`🧹 Removed ${removed} expired TUS upload(s)`);
+    }
+
+    return { removed, errors };
+  }
+}
+
+module.exports = new TusService();
@@ -0,0 +1,344 @@
+const fs = require('fs');
+const ingestQueueService = require('./ingest-queue');
+const mediaService = require('./media');
+const fileTypeService = require('./file-type');
+const checksumService = require('./checksum');
+const { securityLogger } = require('./security-log');
+const policyService = require('./policy');
+const auditService = require('./audit');
+
+/**
+ * Build an error carrying the HTTP status to report
+ */
+const completionError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Remove a finished upload's temp file (zero local storage!)
+ */
+const removeTempFile = (filePath) => {
+  try {
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+      console.log(`🗑️ Cleaned up temp file: ${filePath}`);
+    }
+  } catch (cleanupError) {
+    console.warn(`⚠️ Failed to cleanup temp file: ${cleanupError.message}`);
+  }
+};
+
+class UploadCompletionService {
+  constructor() {
+    // Lazy load models to avoid circular dependencies
+    this._Video = null;
+    this._TempUpload = null;
+    this._ContentCreator = null;
+  }
+
+  get Video() {
+    if (!this._Video) {
+      this._Video = require('../models/Video')();
+    }
+    return this._Video;
+  }
+
+  get TempUpload() {
+    if (!this._TempUpload) {
+      this._TempUpload = require('../models/TempUpload')();
+    }
+    return this._TempUpload;
+  }
+
+  get ContentCreator() {
+    if (!this._ContentCreator) {
+      this._ContentCreator = require('../models/ContentCreator')();
+    }
+    return this._ContentCreator;
+  }
+
+  /**
+   * Handle a finished TUS upload
+   * Called directly by the embedded TUS server (routes/tus.js) and by
+   * POST /api/upload/tus-callback for an external tusd.
+   * - video_id in metadata: traditional flow, queues the IPFS upload and encoding job
+   * - upload_id in metadata: upload-first flow, marks the upload ready for /finalize
+   * Both flows check the container (see checkContainer), the declared
+   * SHA-256 (see verifyChecksum) and probe the file (see inspectMedia) first.
+   * @param {Object} upload - { filePath, metadata }
+   * @returns {Promise<Object>} Response fields ({ message, existing, duplicate, ingest, media, sha256 })
+   * @throws {Error} With statusCode 400/404 for bad or unknown uploads, 422 for rejected media
+   */
+  async complete({ filePath, metadata }) {
+    if (!metadata) {
+      throw completionError('Missing metadata', 400);
+    }
+
+    if (metadata.video_id) {
+      return this.completeVideoUpload(filePath, metadata);
+    }
+
+    if (metadata.upload_id) {
+      return this.completeTempUpload(filePath, metadata);
+    }
+
+    throw completionError('Missing video_id or upload_id in metadata', 400);
+  }
+
+  /**
+   * Upload-first flow: video entry is created later in /finalize
+   */
+  async completeTempUpload(filePath, { upload_id }) {
+    console.log(`📁 TUS completion (upload-first) for upload_id: ${upload_id}`);
+
+    const tempUpload = await this.TempUpload.findOne({ upload_id });
+    if (!tempUpload) {
+      throw completionError('Upload not found', 404);
+    }
+
+    if (!fs.existsSync(filePath)) {
+      throw completionError('Upload file not found', 404);
+    }
+
+    const targets = [
+      { type: 'upload', id: upload_id },
+      { type: 'user', id: tempUpload.owner }
+    ];
+
+    await this.checkContainer(filePath, targets,
+      (reason) => this.TempUpload.markQuarantined(upload_id, reason));
+
+    let sha256;
+    let media;
+    try {
+      sha256 = await this.verifyChecksum(filePath, tempUpload.claimed_sha256, targets);
+      media = await this.inspectMedia(filePath, tempUpload.owner, tempUpload, targets);
+    } catch (error) {
+      if (error.statusCode === 422) {
+        await this.TempUpload.updateOne({ upload_id }, { rejected_reason: error.message });
+      }
+      throw error;
+    }
+
+    await this.TempUpload.markTusCompleted(upload_id, filePath, { media, sha256 });
+
+    console.log(`✅ TUS upload marked complete for ${upload_id} - awaiting finalization`);
+
+    return { message: 'Upload completed, awaiting finalization', media, sha256 };
+  }
+
+  /**
+   * Traditional flow: queue the IPFS upload and encoding job for a prepared video
+   * (processed by services/ingest-queue.js)
+   * If the owner already has a video with the same content, that video is
+   * returned and this one is not processed - unless metadata force_new is "true".
+   */
+  async completeVideoUpload(filePath, { video_id, owner, permlink, force_new }) {
+    if (!owner || !permlink) {
+      throw completionError('Missing owner or permlink in metadata', 400);
+    }
+
+    console.log(`📁 TUS completion (traditional) for ${owner}/${permlink}: ${filePath}`);
+
+    const video = await this.Video.findById(video_id);
+    if (!video) {
+      throw completionError('Video not found', 404);
+    }
+
+    if (video.deleted) {
+      removeTempFile(filePath);
+      throw completionError('Video was deleted', 410);
+    }
+
+    if (!fs.existsSync(filePath)) {
+      throw completionError('Upload file not found', 404);
+    }
+
+    // Check if video already has IPFS hash and job (idempotency check)
+    if (video.filename && video.filename.startsWith('ipfs://') && video.job_id) {
+      console.log(`⚠️ Video already processed (hash: ${video.filename}, job: ${video.job_id})`);
+      removeTempFile(filePath);
+
+      return {
+        message: 'Video already processed',
+        existing: true
+      };
+    }
+
+    const targets = [
+      { type: 'video', id: video._id },
+      { type: 'user', id: video.owner }
+    ];
+
+    await this.checkContainer(filePath, targets, (reason) => video.quarantine(reason));
+
+    let sha256;
+    let media;
+    try {
+      sha256 = await this.verifyChecksum(filePath, video.claimed_sha256, targets);
+      media = await this.inspectMedia(filePath, video.owner, video, targets);
+    } catch (error) {
+      if (error.statusCode === 422) {
+        await this.Video.updateOne({ _id: video._id, status: 'uploaded' }, { status: 'failed' });
+      }
+      throw error;
+    }
+
+    Object.assign(video, mediaService.toVideoFields(media));
+    video.sha256 = sha256;
+
+    const duplicate = force_new === 'true'
+      ? null
+      : await this.Video.findDuplicate(video.owner, sha256, video._id);
+
+    if (duplicate) {
+      console.log(`♻️ Duplicate upload: ${video.owner}/${video.permlink} has the same content as ${duplicate.permlink}`);
+
+      video.status = 'failed';
+      video.duplicate_of = duplicate._id.toString();
+      video.local_filename = null;
+      await video.save();
+      removeTempFile(filePath);
+
+      auditService.record({
+        action: 'upload.duplicate',
+        outcome: 'success',
+        actor: { type: 'system', id: null, roles: [] },
+        targets: [...targets, { type: 'video', id: duplicate._id }],
+        changes: auditService.diff({ status: 'uploaded' }, { status: 'failed', duplicate_of: video.duplicate_of }),
+        details: { sha256 }
+      });
+
+      return {
+        message: 'Duplicate of an existing video',
+        duplicate: true,
+        existing: duplicate.toPublicJSON()
+      };
+    }
+
+    await video.save();
+
+    const task = await ingestQueueService.enqueue({ video, filePath, source: 'tus' });
+
+    return {
+      message: 'Upload queued for processing',
+      ingest: task.toPublicJSON(),
+      media,
+      sha256
+    };
+  }
+
+  /**
+   * Reject anything that is not a supported video container before it is
+   * probed, pinned or encoded. The file is removed and the Video/TempUpload
+   * quarantined with the reason.
+   * @param {string} filePath - Uploaded file
+   * @param {Array} targets - Audit targets
+   * @param {Function} quarantine - (reason) => records the quarantine on the document
+   * @returns {Promise<{container: string}>}
+   * @throws {Error} 422 INVALID_CONTAINER
+   */
+  async checkContainer(filePath, targets, quarantine) {
+    try {
+      return await fileTypeService.validate(filePath);
+    } catch (error) {
+      if (error.code !== 'INVALID_CONTAINER') throw error;
+
+      securityLogger.warn(`☣️ Quarantined upload: ${error.message}`, {
+        event: 'upload_quarantined',
+        reason: error.message,
+        detected: error.details.detected,
+        targets
+      });
+
+      await quarantine(error.message);
+
+      auditService.record({
+        action: 'upload.quarantined',
+        outcome: 'denied',
+        actor: { type: 'system', id: null, roles: [] },
+        targets,
+        reason: error.message,
+        details: { code: error.code, ...error.details }
+      });
+
+      removeTempFile(filePath);
+      throw error;
+    }
+  }
+
+  /**
+   * Hash a finished upload and compare it with the SHA-256 declared in
+   * /init or /prepare. A mismatching file is removed and audited.
+   * @param {string} filePath - Uploaded file
+   * @param {string|null} expected - Declared digest (none = hash only)
+   * @param {Array} targets - Audit targets
+   * @returns {Promise<string>} Actual digest
+   * @throws {Error} 422 CHECKSUM_MISMATCH
+   */
+  async verifyChecksum(filePath, expected, targets) {
+    try {
+      const sha256 = await checksumService.verify(filePath, expected);
+      console.log(`🔐 SHA-256 ${expected ? 'verified' : 'computed'}: ${sha256}`);
+      return sha256;
+    } catch (error) {
+      if (error.code === 'CHECKSUM_MISMATCH') {
+        this._rejectUpload(filePath, error, targets, 'upload.checksum_mismatch');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Probe a finished upload and check it against the client's claim and
+   * the owner's policy limits. Rejected files are removed and audited.
+   * @param {string} filePath - Uploaded file
+   * @param {string} owner - Uploader
+   * @param {Object} claimed - { size, duration } from /prepare or /init
+   * @param {Array} targets - Audit targets
+   * @returns {Promise<Object>} mediaService.probe() result
+   * @throws {Error} 422 MEDIA_REJECTED/MEDIA_UNREADABLE, 503 PROBE_UNAVAILABLE (file kept for a retry)
+   */
+  async inspectMedia(filePath, owner, claimed, targets) {
+    let media;
+    try {
+      media = await mediaService.probe(filePath);
+    } catch (error) {
+      if (error.statusCode === 422) {
+        this._rejectUpload(filePath, error, targets, 'upload.media_rejected');
+      }
+      throw error;
+    }
+
+    const creator = await this.ContentCreator.findOne({ username: owner });
+    const check = mediaService.check(media, claimed, policyService.evaluate(creator));
+
+    if (!check.allowed) {
+      const error = mediaService.rejectionError(check, media, claimed);
+      this._rejectUpload(filePath, error, targets, 'upload.media_rejected');
+      throw error;
+    }
+
+    console.log(`🎞️ Media probed: ${media.codec} ${media.width}x${media.height} @ ${media.framerate}fps, ${media.duration}s, ${media.audio_tracks.length} audio track(s)`);
+    return media;
+  }
+
+  _rejectUpload(filePath, error, targets, action) {
+    console.warn(`🚫 Upload rejected (${error.code}): ${error.message}`);
+
+    auditService.record({
+      action,
+      outcome: 'denied',
+      actor: { type: 'system', id: null, roles: [] },
+      targets,
+      reason: error.message,
+      details: { code: error.code, ...error.details }
+    });
+
+    removeTempFile(filePath);
+  }
+}
+
+module.exports = new UploadCompletionService();
@@ -0,0 +1,247 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+// Stubbed IPFS service: no daemon or supernode needed
+jest.mock('../src/services/ipfs', () => ({
+  uploadFile: jest.fn()
+}));
+
+const ipfsService = require('../src/services/ipfs');
+const database = require('../src/config/database');
+const ingestService = require('../src/services/ingest');
+
+jest.setTimeout(60000);
+
+describe('IngestService', () => {
+  let mongod;
+  let tmpDir;
+  let Video;
+  let Job;
+
+  const createVideo = (overrides = {}) => Video.create({
+    owner: 'alice',
+    permlink: 'abcd1234',
+    title: 'Test video',
+    description: 'Test description',
+    size: 1024,
+    status: 'uploaded',
+    ...overrides
+  });
+
+  // Smallest file that passes container validation: ftyp + moov + mdat boxes
+  const box = (type, payload = Buffer.alloc(0)) => {
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(8 + payload.length, 0);
+    header.write(type, 4, 'latin1');
+    return Buffer.concat([header, payload]);
+  };
+
+  const createUploadFile = (name = 'upload.mp4', contents = null) => {
+    const filePath = path.join(tmpDir, name);
+    fs.writeFileSync(filePath, contents || Buffer.concat([
+      box('ftyp', Buffer.from('isom\0\0\0\0isom', 'latin1')),
+      box('moov'),
+      box('mdat', Buffer.from('video bytes'))
+    ]));
+    return filePath;
+  };
+
+  beforeAll(async () => {
+    mongod = await MongoMemoryServer.create();
+    process.env.MONGODB_URI = mongod.getUri();
+    await database.connectDatabases();
+
+    Video = require('../src/models/Video')();
+    Job = require('../src/models/Job')();
+    await Promise.all([Video.init(), Job.init()]);
+  });
+
+  afterAll(async () => {
+    await database.closeConnections();
+    if (mongod) await mongod.stop();
+  });
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ingest-test-'));
+    ipfsService.uploadFile.mockReset();
+    ipfsService.uploadFile.mockResolvedValue({
+      hash: 'QmTestHash',
+      gatewayUrl: 'https://ipfs.example/ipfs/QmTestHash',
+      fallbackMode: false
+    });
+  });
+
+  afterEach(async () => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    await Promise.all([Video.deleteMany({}), Job.deleteMany({})]);
+  });
+
+  test('uploads to IPFS, creates the encoding job and updates the video', async () => {
+    await createVideo();
+    const filePath = createUploadFile();
+
+    const result = await ingestService.ingest({ owner: 'alice', permlink: 'abcd1234', filePath });
+
+    expect(result).toEqual({
+      state: 'ingested',
+      ipfs_hash: 'QmTestHash',
+      job_id: ingestService.jobIdFor('alice', 'abcd1234')
+    });
+
+    const video = await Video.findOne({ owner: 'alice', permlink: 'abcd1234' });
+    expect(video.filename).toBe('ipfs://QmTestHash');
+    expect(video.status).toBe('encoding_ipfs');
+    expect(video.job_id).toBe(result.job_id);
+    expect(video.cleanup_eligible).toBe(false);
+
+    const job = await Job.findOne({ id: result.job_id });
+    expect(job.metadata.video_owner).toBe('alice');
+    expect(job.metadata.video_permlink).toBe('abcd1234');
+    expect(job.input.uri).toBe('https://ipfs.example/ipfs/QmTestHash');
+
+    expect(fs.existsSync(filePath)).toBe(false);
+  });
+
+  test('returns an already ingested video without uploading again', async () => {
+    await createVideo({ filename: 'ipfs://QmExisting', job_id: 'existing-job', status: 'encoding_ipfs' });
+    const filePath = createUploadFile();
+
+    const result = await ingestService.ingest({ owner: 'alice', permlink: 'abcd1234', filePath });
+
+    expect(result).toEqual({ state: 'already_ingested', ipfs_hash: 'QmExisting', job_id: 'existing-job' });
+    expect(ipfsService.uploadFile).not.toHaveBeenCalled();
+    expect(await Job.countDocuments()).toBe(0);
+    expect(fs.existsSync(filePath)).toBe(false);
+  });
+
+  test('links an existing job instead of creating a second one', async () => {
+    await createVideo();
+    await Job.create({
+      id: 'job-from-elsewhere',
+      metadata: { video_owner: 'alice', video_permlink: 'abcd1234' },
+      input: { uri: 'https://ipfs.example/ipfs/QmOld', size: 1024 }
+    });
+
+    const result = await ingestService.ingest({
+      owner: 'alice',
+      permlink: 'abcd1234',
+      filePath: createUploadFile()
+    });
+
+    expect(result.state).toBe('job_linked');
+    expect(result.job_id).toBe('job-from-elsewhere');
+    expect(await Job.countDocuments()).toBe(1);
+
+    const video = await Video.findOne({ owner: 'alice', permlink: 'abcd1234' });
+    expect(video.job_id).toBe('job-from-elsewhere');
+  });
+
+  test('links the job when another instance created it concurrently', async () => {
+    await createVideo();
+    // Same deterministic ID, but not findable by the owner/permlink check
+    await Job.create({
+      id: ingestService.jobIdFor('alice', 'abcd1234'),
+      metadata: { video_owner: 'someone-else', video_permlink: 'zzzz9999' },
+      input: { uri: 'https://ipfs.example/ipfs/QmOther', size: 1024 }
+    });
+
+    const result = await ingestService.ingest({
+      owner: 'alice',
+      permlink: 'abcd1234',
+      filePath: createUploadFile()
+    });
+
+    expect(result.state).toBe('job_linked');
+    expect(result.job_id).toBe(ingestService.jobIdFor('alice', 'abcd1234'));
+    expect(await Job.countDocuments()).toBe(1);
+  });
+
+  test('concurrent calls for the same video share one run', async () => {
+    await createVideo();
+    const filePath = createUploadFile();
+
+    const [first, second] = await Promise.all([
+      ingestService.ingest({ owner: 'alice', permlink: 'abcd1234', filePath }),
+      ingestService.ingest({ owner: 'alice', permlink: 'abcd1234', filePath })
+    ]);
+
+    expect(first).toBe(second);
+    expect(ipfsService.uploadFile).toHaveBeenCalledTimes(1);
+    expect(await Job.countDocuments()).toBe(1);
+    expect(ingestService.inFlight.size).toBe(0);
+  });
+
+  test('fails permanently when the video does not exist', async () => {
+    await expect(ingestService.ingest({
+      owner: 'alice',
+      permlink: 'missing1',
+      filePath: createUploadFile()
+    })).rejects.toMatchObject({ code: 'VIDEO_NOT_FOUND', retryable: false });
+  });
+
+  test('fails permanently when the upload file is missing', async () => {
+    await createVideo();
+
+    await expect(ingestService.ingest({
+      owner: 'alice',
+      permlink: 'abcd1234',
+      filePath: path.join(tmpDir, 'gone.mp4')
+    })).rejects.toMatchObject({ code: 'FILE_NOT_FOUND', retryable: false });
+
+    expect(ipfsService.uploadFile).not.toHaveBeenCalled();
+  });
+
+  test('quarantines files that are not a video container', async () => {
+    await createVideo();
+    const filePath = createUploadFile('upload.mp4', Buffer.from('PK\x03\x04 not a video', 'latin1'));
+
+    await expect(ingestService.ingest({ owner: 'alice', permlink: 'abcd1234', filePath }))
+      .rejects.toMatchObject({ code: 'FILE_QUARANTINED', retryable: false });
+
+    const video = await Video.findOne({ owner: 'alice', permlink: 'abcd1234' });
+    expect(video.status).toBe('quarantined');
+    expect(video.quarantine_reason).toMatch(/zip/);
+    expect(ipfsService.uploadFile).not.toHaveBeenCalled();
+    expect(fs.existsSync(filePath)).toBe(false);
+  });
+
+  test('refuses a file that changed since its checksum was verified', async () => {
+    await createVideo({ sha256: 'a'.repeat(64) });
+    const filePath = createUploadFile();
+
+    await expect(ingestService.ingest({ owner: 'alice', permlink: 'abcd1234', filePath }))
+      .rejects.toMatchObject({ code: 'CHECKSUM_MISMATCH', retryable: false });
+
+    expect(ipfsService.uploadFile).not.toHaveBeenCalled();
+  });
+
+  test('IPFS failures are retryable and leave the video and file untouched', async () => {
+    await createVideo();
+    const filePath = createUploadFile();
+    ipfsService.uploadFile.mockRejectedValue(new Error('supernode timeout'));
+
+    await expect(ingestService.ingest({ owner: 'alice', permlink: 'abcd1234', filePath }))
+      .rejects.toMatchObject({ code: 'IPFS_UPLOAD_FAILED', retryable: true });
+
+    const video = await Video.findOne({ owner: 'alice', permlink: 'abcd1234' });
+    expect(video.status).toBe('uploaded');
+    expect(video.job_id).toBeUndefined();
+    expect(await Job.countDocuments()).toBe(0);
+    expect(fs.existsSync(filePath)).toBe(true);
+  });
+
+  test('a retry after an IPFS failure completes the ingest', async () => {
+    await createVideo();
+    const filePath = createUploadFile();
+    ipfsService.uploadFile.mockRejectedValueOnce(new Error('supernode timeout'));
+
+    await expect(ingestService.ingest({ owner: 'alice', permlink: 'abcd1234', filePath }))
+      .rejects.toMatchObject({ code: 'IPFS_UPLOAD_FAILED' });
+
+    const result = await ingestService.ingest({ owner: 'alice', permlink: 'abcd1234', filePath });
+    expect(result.state).toBe('ingested');
+    expect(await Job.countDocuments()).toBe(1);
+  });
+});
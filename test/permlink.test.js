@@ -0,0 +1,172 @@
+const permlinkService = require('../src/services/permlink');
+
+describe('PermlinkService', () => {
+  let existing;
+  let Video;
+
+  const duplicateKeyError = () => {
+    const error = new Error('E11000 duplicate key error collection: threespeak.videos index: permlink_1 dup key');
+    error.code = 11000;
+    error.keyPattern = { permlink: 1 };
+    return error;
+  };
+
+  beforeEach(() => {
+    // In-memory stand-in for the Video collection: "owner/permlink" entries
+    existing = new Set();
+    Video = {
+      exists: jest.fn(async ({ owner, permlink }) => (existing.has(`${owner}/${permlink}`) ? { _id: 'x' } : null))
+    };
+    permlinkService._Video = Video;
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    permlinkService._Video = null;
+  });
+
+  describe('random', () => {
+    test('returns 8 lowercase alphanumeric characters', () => {
+      for (let i = 0; i < 200; i++) {
+        expect(permlinkService.random()).toMatch(/^[a-z0-9]{8}$/);
+      }
+    });
+
+    test('does not repeat across many draws', () => {
+      const seen = new Set();
+      for (let i = 0; i < 10000; i++) {
+        seen.add(permlinkService.random());
+      }
+      expect(seen.size).toBe(10000);
+    });
+  });
+
+  describe('slugify', () => {
+    test('builds a lowercase hyphenated slug', () => {
+      expect(permlinkService.slugify('  My First Vlog!! (2024) ')).toBe('my-first-vlog-2024');
+    });
+
+    test('drops accents and non-latin characters', () => {
+      expect(permlinkService.slugify('Café à Paris')).toBe('cafe-a-paris');
+      expect(permlinkService.slugify('日本語')).toBe('');
+    });
+
+    test('caps the length without a trailing hyphen', () => {
+      const slug = permlinkService.slugify('word '.repeat(40));
+      expect(slug.length).toBeLessThanOrEqual(48);
+      expect(slug).not.toMatch(/-$/);
+    });
+  });
+
+  describe('candidate', () => {
+    test('appends a random suffix to the title slug', () => {
+      expect(permlinkService.candidate({ title: 'Hello World' })).toMatch(/^hello-world-[a-z0-9]{6}$/);
+    });
+
+    test('falls back to a random permlink when the title has no usable characters', () => {
+      expect(permlinkService.candidate({ title: '!!!' })).toMatch(/^[a-z0-9]{8}$/);
+    });
+  });
+
+  describe('generate', () => {
+    test('retries until it finds a permlink the owner does not use', async () => {
+      existing.add('alice/aaaaaaaa');
+      existing.add('alice/bbbbbbbb');
+      jest.spyOn(permlinkService, 'random')
+        .mockReturnValueOnce('aaaaaaaa')
+        .mockReturnValueOnce('bbbbbbbb')
+        .mockReturnValueOnce('cccccccc');
+
+      await expect(permlinkService.generate('alice')).resolves.toBe('cccccccc');
+      expect(Video.exists).toHaveBeenCalledTimes(3);
+    });
+
+    test('only checks the owner\'s own videos', async () => {
+      existing.add('bob/aaaaaaaa');
+      jest.spyOn(permlinkService, 'random').mockReturnValue('aaaaaaaa');
+
+      await expect(permlinkService.generate('alice')).resolves.toBe('aaaaaaaa');
+    });
+
+    test('gives up after maxAttempts collisions', async () => {
+      existing.add('alice/aaaaaaaa');
+      jest.spyOn(permlinkService, 'random').mockReturnValue('aaaaaaaa');
+
+      await expect(permlinkService.generate('alice')).rejects.toMatchObject({
+        statusCode: 503,
+        code: 'PERMLINK_EXHAUSTED'
+      });
+      expect(Video.exists).toHaveBeenCalledTimes(permlinkService.maxAttempts);
+    });
+  });
+
+  describe('create', () => {
+    test('inserts with a generated permlink', async () => {
+      jest.spyOn(permlinkService, 'random').mockReturnValue('aaaaaaaa');
+      const insert = jest.fn(async permlink => ({ permlink }));
+
+      await expect(permlinkService.create('alice', insert)).resolves.toEqual({ permlink: 'aaaaaaaa' });
+      expect(insert).toHaveBeenCalledWith('aaaaaaaa');
+    });
+
+    test('retries with a new permlink when the insert hits the unique index', async () => {
+      jest.spyOn(permlinkService, 'random')
+        .mockReturnValueOnce('aaaaaaaa')
+        .mockReturnValueOnce('bbbbbbbb');
+      const insert = jest.fn()
+        .mockRejectedValueOnce(duplicateKeyError()) // Taken between the check and the insert
+        .mockImplementation(async permlink => ({ permlink }));
+
+      await expect(permlinkService.create('alice', insert)).resolves.toEqual({ permlink: 'bbbbbbbb' });
+      expect(insert.mock.calls).toEqual([['aaaaaaaa'], ['bbbbbbbb']]);
+    });
+
+    test('gives up when every insert collides', async () => {
+      const insert = jest.fn().mockRejectedValue(duplicateKeyError());
+
+      await expect(permlinkService.create('alice', insert)).rejects.toMatchObject({ code: 'PERMLINK_EXHAUSTED' });
+      expect(insert).toHaveBeenCalledTimes(permlinkService.maxAttempts);
+    });
+
+    test('does not retry other insert errors', async () => {
+      const insert = jest.fn().mockRejectedValue(new Error('validation failed'));
+
+      await expect(permlinkService.create('alice', insert)).rejects.toThrow('validation failed');
+      expect(insert).toHaveBeenCalledTimes(1);
+    });
+
+    test('uses a title slug when a title is given', async () => {
+      const insert = jest.fn(async permlink => ({ permlink }));
+
+      const video = await permlinkService.create('alice', insert, { title: 'My Vlog' });
+      expect(video.permlink).toMatch(/^my-vlog-[a-z0-9]{6}$/);
+    });
+
+    test('uses the caller\'s permlink as-is', async () => {
+      const insert = jest.fn(async permlink => ({ permlink }));
+
+      await expect(permlinkService.create('alice', insert, { permlink: 'my-own-link' }))
+        .resolves.toEqual({ permlink: 'my-own-link' });
+    });
+
+    test('rejects a caller\'s permlink the owner already uses', async () => {
+      existing.add('alice/my-own-link');
+      const insert = jest.fn();
+
+      await expect(permlinkService.create('alice', insert, { permlink: 'my-own-link' })).rejects.toMatchObject({
+        statusCode: 409,
+        code: 'PERMLINK_TAKEN'
+      });
+      expect(insert).not.toHaveBeenCalled();
+    });
+
+    test('reports a caller\'s permlink taken on insert as PERMLINK_TAKEN', async () => {
+      const insert = jest.fn().mockRejectedValue(duplicateKeyError());
+
+      await expect(permlinkService.create('alice', insert, { permlink: 'my-own-link' }))
+        .rejects.toMatchObject({ code: 'PERMLINK_TAKEN' });
+      expect(insert).toHaveBeenCalledTimes(1);
+    });
+  });
+});
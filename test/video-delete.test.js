@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+// The Video model is built on the 3Speak connection: an unopened one is
+// enough, nothing here reaches the database
+jest.mock('../src/config/database', () => ({
+  threeSpeakDb: require('mongoose').createConnection()
+}));
+
+const auditService = require('../src/services/audit');
+const { requireVideoOwnership } = require('../src/middleware/ownership');
+
+describe('Deleted drafts', () => {
+  let Video;
+  let video;
+
+  const run = async (method, param = 'video_id', options) => {
+    const req = {
+      method,
+      params: { [param]: video._id.toString() },
+      auth: { authenticated: true, username: 'alice' }
+    };
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+    const next = jest.fn();
+    await requireVideoOwnership(param, options)(req, res, next);
+    return { req, res, next };
+  };
+
+  beforeEach(async () => {
+    Video = require('../src/models/Video')();
+    jest.spyOn(Video.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+
+    video = new Video({
+      owner: 'alice',
+      permlink: 'abcd1234',
+      status: 'publish_manual',
+      draft: true
+    });
+    await video.softDelete('Deleted by owner');
+
+    jest.spyOn(Video, 'findById').mockResolvedValue(video);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('softDelete clears the draft flag', () => {
+    expect(video.deleted).toBe(true);
+    expect(video.draft).toBe(false);
+    expect(video.status).toBe('publish_manual');
+  });
+
+  test.each(['POST', 'PATCH', 'PUT', 'DELETE'])('%s routes get 410 VIDEO_DELETED', async (method) => {
+    const { req, res, next } = await run(method);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(req.video).toBeUndefined();
+    expect(res.status).toHaveBeenCalledWith(410);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'VIDEO_DELETED' }));
+  });
+
+  test('publishing it (POST /drafts/:video_id/publish) never reaches publishDraft', async () => {
+    const publishDraft = jest.spyOn(video, 'publishDraft');
+    const { next } = await run('POST');
+
+    expect(next).not.toHaveBeenCalled();
+    expect(publishDraft).not.toHaveBeenCalled();
+    expect(video.status).toBe('publish_manual');
+  });
+
+  test('it is still readable', async () => {
+    const { req, next } = await run('GET', 'id');
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.video).toBe(video);
+  });
+
+  test('allowDeleted lets the route answer itself', async () => {
+    const { req, next } = await run('DELETE', 'id', { allowDeleted: true });
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.video).toBe(video);
+  });
+
+  test('non-owners still get 403, not 410', async () => {
+    jest.spyOn(auditService, 'denied').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    video.owner = 'bob';
+
+    const { res } = await run('PATCH');
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+});
+
+afterAll(() => mongoose.disconnect());